@@ -0,0 +1,122 @@
+// Service worker: keeps the app shell, map tiles and marker icons available offline.
+// Geocoding and routing responses are not cached here; MapService keeps its own cache and
+// falls back to the bundled Bohol data when the network is down.
+
+const SHELL_CACHE = 'route-finder-shell-v1';
+const TILE_CACHE = 'route-finder-tiles-v2'; // v1 held opaque tiles the receipt can't draw
+const ASSET_CACHE = 'route-finder-assets-v1';
+const CACHES = [SHELL_CACHE, TILE_CACHE, ASSET_CACHE];
+
+// Only tiles the user has actually viewed are cached (the OSM tile policy forbids bulk
+// prefetching); the oldest are dropped past this many
+const MAX_TILES = 2000;
+
+// Hosts serving marker icons and other static images the map uses
+const ASSET_HOSTS = ['raw.githubusercontent.com', 'cdnjs.cloudflare.com', 'unpkg.com'];
+
+// XYZ raster tile URLs end in /{z}/{x}/{y}.png (or .jpg/.webp)
+const isTileRequest = (url) => /\/\d+\/\d+\/\d+(@2x)?\.(png|jpe?g|webp)$/.test(url.pathname);
+
+// Cache the page and the hashed bundles it references so the app opens offline on the next visit
+const precacheShell = async () => {
+  const cache = await caches.open(SHELL_CACHE);
+  const response = await fetch('/index.html', { cache: 'no-cache' });
+  const html = await response.clone().text();
+  await cache.put('/index.html', response);
+
+  const assets = Array.from(html.matchAll(/(?:src|href)="(\/[^"]+)"/g), (match) => match[1]);
+  await Promise.all(
+    ['/manifest.json', ...assets].map((asset) => cache.add(asset).catch(() => undefined))
+  );
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(precacheShell().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) => Promise.all(names.filter((name) => !CACHES.includes(name)).map((name) => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Serve from the cache when possible, otherwise fetch and remember the response. Only CORS
+// responses are stored by default: cache matching ignores the request mode, so an opaque copy
+// would also be served to CORS requests (the receipt's canvas snapshot) and fail there, and
+// opaque responses count heavily against the storage quota.
+const cacheFirst = async (request, cacheName, { allowOpaque = false } = {}) => {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok || (allowOpaque && response.type === 'opaque')) {
+    await cache.put(request, response.clone());
+  }
+  return response;
+};
+
+// Check the tile cache size every few dozen tile requests rather than on each one
+const TRIM_EVERY = 50;
+let tileRequests = 0;
+
+// Drop the oldest tiles once the tile cache is over its limit
+const trimTileCache = async () => {
+  const cache = await caches.open(TILE_CACHE);
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - MAX_TILES)).map((key) => cache.delete(key)));
+};
+
+// Prefer fresh content, falling back to the cached copy when offline
+const networkFirst = async (request, cacheName, fallbackUrl) => {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      await cache.put(fallbackUrl || request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(fallbackUrl || request);
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, SHELL_CACHE, '/index.html'));
+    return;
+  }
+
+  if (isTileRequest(url)) {
+    event.respondWith(cacheFirst(request, TILE_CACHE));
+    tileRequests++;
+    if (tileRequests % TRIM_EVERY === 0) {
+      event.waitUntil(trimTileCache());
+    }
+    return;
+  }
+
+  if (url.origin === self.location.origin) {
+    // Hashed bundles never change; other files (e.g. locations.json) may be updated
+    event.respondWith(
+      url.pathname.startsWith('/assets/') ? cacheFirst(request, SHELL_CACHE) : networkFirst(request, SHELL_CACHE)
+    );
+    return;
+  }
+
+  // Marker icons are a handful of small images only ever shown through <img>, so their opaque
+  // responses are worth keeping for offline use
+  if (ASSET_HOSTS.includes(url.hostname)) {
+    event.respondWith(cacheFirst(request, ASSET_CACHE, { allowOpaque: true }));
+  }
+});
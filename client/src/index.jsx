@@ -3,6 +3,17 @@ import { createRoot } from "react-dom/client";
 import App from "./App";
 import "bootstrap/dist/css/bootstrap.min.css";
 import "./index.css";
+
+// Cache the app shell and map tiles for offline use (production builds only; a service
+// worker would serve stale modules to the dev server)
+if (import.meta.env.PROD && "serviceWorker" in navigator) {
+  window.addEventListener("load", () => {
+    navigator.serviceWorker.register("/sw.js").catch((error) => {
+      console.error("Service worker registration failed:", error);
+    });
+  });
+}
+
 // Get the root element
 const container = document.getElementById("root");
 
@@ -1,32 +1,193 @@
 import React, { useState, useRef, useEffect } from "react";
-import { MapPin, Navigation, Users, AlertCircle, CheckCircle, Smartphone, Settings, Wifi, Search } from "lucide-react";
+import { useSearchParams } from "react-router-dom";
+import { MapPin, Navigation, Users, AlertCircle, CheckCircle, Smartphone, Settings, Wifi, Search, ArrowUp, ArrowDown, X, Plus, Gauge, Play, Square, Printer, Download, Flag, Copy, Trash2, Send, WifiOff, LocateFixed, ArrowUpLeft, ArrowUpRight, CornerUpLeft, CornerUpRight, RotateCw, Undo2, ChevronDown, ChevronUp, ListOrdered, Star, History, Share2 } from "lucide-react";
 import { 
   calculateFare, 
+  calculateGroupFare,
+  calculateLegFares,
   getFareBreakdown, 
   getJurisdictionInfo, 
   determineLocationType,
-  checkPanglaoBoundary,
-  checkTagbilaranBoundary 
+  getJurisdictions,
+  hasTariff,
+  DETECTION_METHODS,
+  OUTSIDE_JURISDICTION,
+  toTariffDateTime
 } from "../utils/fareCalculator";
+import "leaflet/dist/leaflet.css";
 import mapService from "../utils/mapsAPI";
+import { FARE_ROUTING_PROFILE, getRoutingProfile, ROUTING_PROFILES } from "../utils/mapProviders";
+import { SNAP_WARNING_KM } from "../utils/offlineRouter";
+import { formatStepDistance } from "../utils/directions";
+import { isSupersededRequest } from "../utils/requestQueue";
+import { CONFIDENCE_LEVELS, confidenceLevel, formatAddress, normalizeAddress, placeLabel } from "../utils/addressNormalizer";
+import { formatJurisdiction, loadJurisdictions, mergeSearchResults, resolveLocalResult, searchLocalPlaces } from "../utils/localSearch";
+import {
+  buildComplaint,
+  flushComplaintQueue,
+  getQueuedComplaints,
+  isComplaintEndpointConfigured,
+  queueComplaint,
+  removeQueuedComplaint,
+  submitComplaint
+} from "../utils/disputeReport";
+import { buildReceipt, downloadReceiptImage, openPrintableReceipt } from "../utils/receipt";
+import { createMeterTrack, addTrackPoint, getMeterFare, summarizeMeterTrip, toTrackFix } from "../utils/tripMeter";
+import {
+  buildTripRecord,
+  clearRecentTrips,
+  getRecentTrips,
+  getSavedPlaces,
+  recordTrip,
+  removeRecentTrip,
+  removeSavedPlace,
+  savePlace
+} from "../utils/tripHistory";
+import { buildShareUrl, buildTripSearchParams, parseTripSearchParams, shareTripLink } from "../utils/shareLinks";
+import { createRouteMonitor, DEFAULT_MONITOR_SETTINGS, estimateDetourFare, finishRouteMonitor, updateRouteMonitor } from "../utils/routeMonitor";
+
+// Tailwind class sets per jurisdiction theme (full class names so Tailwind can detect them)
+const JURISDICTION_THEMES = {
+  green: {
+    panel: "bg-gradient-to-r from-green-50 to-emerald-50 border-green-200",
+    status: "bg-green-50 border-green-200",
+    soft: "bg-green-50 border-green-200",
+    card: "bg-white border-green-100",
+    box: "bg-white border-green-200",
+    total: "border-green-400 text-green-900",
+    label: "text-green-600",
+    icon: "text-green-600",
+    accent: "text-green-700",
+    strong: "text-green-800",
+    heading: "text-green-900",
+    active: "bg-green-600 text-white shadow-md",
+    inactive: "bg-white text-green-700 border-2 border-green-200 hover:border-green-400"
+  },
+  blue: {
+    panel: "bg-gradient-to-r from-blue-50 to-indigo-50 border-blue-200",
+    status: "bg-blue-50 border-blue-200",
+    soft: "bg-blue-50 border-blue-200",
+    card: "bg-white border-blue-100",
+    box: "bg-white border-blue-200",
+    total: "border-blue-400 text-blue-900",
+    label: "text-blue-600",
+    icon: "text-blue-600",
+    accent: "text-blue-700",
+    strong: "text-blue-800",
+    heading: "text-blue-900",
+    active: "bg-blue-600 text-white shadow-md",
+    inactive: "bg-white text-blue-700 border-2 border-blue-200 hover:border-blue-400"
+  }
+};
+
+const getJurisdictionTheme = (jurisdictionInfo) =>
+  JURISDICTION_THEMES[jurisdictionInfo.theme] || JURISDICTION_THEMES.green;
+
+// Line colors for the suggested route and its alternatives, shared by the map and the route picker
+const ROUTE_COLORS = ["#ff6b6b", "#6366f1", "#f59e0b", "#14b8a6"];
+
+const getRouteColor = (index) => ROUTE_COLORS[index % ROUTE_COLORS.length];
+
+// What the fare route is: a routing server without tricycle rules (the public OSRM server)
+// hands back its car route
+const getFareRouteLabel = (route) => (route?.carRoute ? "car route" : "tricycle route");
+
+// Map view before an origin is known: Tagbilaran, Dauis and Panglao
+const DEFAULT_MAP_CENTER = [9.61, 123.82];
+const DEFAULT_MAP_ZOOM = 12;
+
+// Popup for a clicked map point. Popups are plain HTML, so the buttons carry a
+// data-map-action that the map container's click listener dispatches.
+const getClickedPopupHtml = (lat, lng, addressText) => `
+  <strong>📍 Clicked Location</strong><br/>
+  ${addressText}<br/>
+  Lat: ${lat.toFixed(6)}<br/>
+  Lng: ${lng.toFixed(6)}
+  <div class="mt-2 flex gap-2">
+    <button type="button" data-map-action="routeTo" data-lat="${lat}" data-lng="${lng}" class="px-2 py-1 rounded bg-orange-500 text-white text-xs font-semibold">🎯 Route here</button>
+    <button type="button" data-map-action="setOrigin" data-lat="${lat}" data-lng="${lng}" class="px-2 py-1 rounded bg-green-600 text-white text-xs font-semibold">📍 Start here</button>
+  </div>
+`;
+
+// How the trip origin is labelled: the device position or a point the user picked
+const getOriginLabel = (origin) => (origin?.source === "manual" ? "Starting Point" : "Your Location");
+
+// Icon for a direction step's maneuver
+const getStepIcon = ({ type, modifier }) => {
+  if (type === "arrive") return Flag;
+  if (type === "depart") return Navigation;
+  if (type.includes("roundabout") || type.includes("rotary")) return RotateCw;
+  if (modifier === "uturn") return Undo2;
+  if (modifier?.includes("left")) return modifier.startsWith("slight") ? ArrowUpLeft : CornerUpLeft;
+  if (modifier?.includes("right")) return modifier.startsWith("slight") ? ArrowUpRight : CornerUpRight;
+  return ArrowUp;
+};
+
+// "14:05, 2 min 10 s, up to 380 m off the route" for a logged detour
+const describeDeviation = ({ startedAt, endedAt, maxDistanceMeters }) => {
+  const seconds = Math.round((endedAt - startedAt) / 1000);
+  const duration = seconds >= 60 ? `${Math.floor(seconds / 60)} min ${seconds % 60} s` : `${seconds} s`;
+  return `${toTariffDateTime(startedAt).time}, ${duration}, up to ${Math.round(maxDistanceMeters)} m off the route`;
+};
+
+const formatFareDifference = (difference) => `${difference < 0 ? "-" : "+"}₱${Math.abs(difference).toFixed(2)}`;
 
 const RouteFinder = () => {
+  // Trip in the URL (see shareLinks.js), kept in step with the trip on screen
+  const [searchParams, setSearchParams] = useSearchParams();
+  // Trip in the link the page was opened with, read once
+  const [sharedTrip] = useState(() => parseTripSearchParams(searchParams));
+
   // Map and route state
+  // Trip origin: the device position (source "gps") or a point the user picked ("manual")
   const [location, setLocation] = useState(null);
   const [locationError, setLocationError] = useState(null);
   const [destination, setDestination] = useState("");
   const [destinationCoords, setDestinationCoords] = useState(null);
   const [originName, setOriginName] = useState(null);
   const [originDetails, setOriginDetails] = useState({});
-  const [route, setRoute] = useState(null);
+  const [route, setRoute] = useState(null); // the route the fare is quoted for
+  const [routeOptions, setRouteOptions] = useState([]); // suggested route followed by OSRM alternatives
+  const [selectedRouteIndex, setSelectedRouteIndex] = useState(0);
+  const [waypoints, setWaypoints] = useState([]); // intermediate stops: { id, name, lat, lng }
+  const [routingProfile, setRoutingProfile] = useState(FARE_ROUTING_PROFILE); // vehicle shown on the map
+  const [profileRoute, setProfileRoute] = useState(null); // route for routingProfile when it isn't the fare profile
+  const [showDirections, setShowDirections] = useState(false);
+  const [activeStepIndex, setActiveStepIndex] = useState(null); // direction step highlighted on the map
+  const [savedPlaces, setSavedPlaces] = useState(getSavedPlaces); // favorite places stored on this device
+  const [recentTrips, setRecentTrips] = useState(getRecentTrips); // trips routed on this device, newest first
+  const [showRecentTrips, setShowRecentTrips] = useState(false);
+  const [historyError, setHistoryError] = useState(null);
+  const [shareMessage, setShareMessage] = useState(null); // { type: 'success' | 'error', text }
   const [searchLoading, setSearchLoading] = useState(false);
   const [searchError, setSearchError] = useState(null);
   const [passengerType, setPassengerType] = useState("regular");
-  const [isWithinPanglao, setIsWithinPanglao] = useState(null);
-  const [isWithinTagbilaran, setIsWithinTagbilaran] = useState(null);
-  const [locationType, setLocationType] = useState(null); // 'panglao', 'tagbilaran', or 'outside'
+  const [tripTime, setTripTime] = useState(""); // YYYY-MM-DDTHH:MM in tariff local time; empty means now
+  const [bags, setBags] = useState(0);
+  const [specialBooking, setSpecialBooking] = useState(false);
+  const [groupCounts, setGroupCounts] = useState({}); // passenger class id -> number of riders
+  const [locationType, setLocationType] = useState(null); // jurisdiction id from the tariff registry, or 'outside'
+  const [jurisdictionMethod, setJurisdictionMethod] = useState(null); // 'polygon', 'address', or 'none'
   const [boundaryCheckLoading, setBoundaryCheckLoading] = useState(false);
+
+  // Trip meter state
+  const [meterActive, setMeterActive] = useState(false);
+  const [meterTrack, setMeterTrack] = useState(null); // GPS track recorded while the meter runs
+  const [meterSummary, setMeterSummary] = useState(null); // summary of the last finished ride
+  const [meterError, setMeterError] = useState(null);
+  const [quotedFare, setQuotedFare] = useState(""); // fare the driver asked for, to compare with the meter
+  const [monitorSettings, setMonitorSettings] = useState(DEFAULT_MONITOR_SETTINGS); // off-route alert thresholds
+  const [routeMonitor, setRouteMonitor] = useState(null); // planned route being checked for detours during the ride
+  const [receiptLoading, setReceiptLoading] = useState(false);
+  const [receiptError, setReceiptError] = useState(null);
+
+  // Overcharge report state
+  const [showReportForm, setShowReportForm] = useState(false);
+  const [reportForm, setReportForm] = useState({ chargedAmount: "", bodyNumber: "", plateNumber: "", notes: "" });
+  const [reportQueue, setReportQueue] = useState(getQueuedComplaints); // complaints saved on this device
+  const [reportMessage, setReportMessage] = useState(null); // { type: 'success' | 'error', text }
   const [isMobile, setIsMobile] = useState(false);
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
   const mapRef = useRef(null);
   const [mapInitialized, setMapInitialized] = useState(false);
   const [leafletLoaded, setLeafletLoaded] = useState(false);
@@ -36,6 +197,9 @@ const RouteFinder = () => {
   const [clickedAddress, setClickedAddress] = useState(null);
   const [clickedDetails, setClickedDetails] = useState({});
   const [destinationDetails, setDestinationDetails] = useState({});
+  const [destinationLocationType, setDestinationLocationType] = useState(null);
+  // Destination the latest address lookup has to match before it may change the jurisdiction
+  const destinationCoordsRef = useRef(null);
 
   // Loading states for addresses
   const [originAddressLoading, setOriginAddressLoading] = useState(true);
@@ -47,6 +211,32 @@ const RouteFinder = () => {
   const [showSuggestions, setShowSuggestions] = useState(false);
   const [suggestionsLoading, setSuggestionsLoading] = useState(false);
   const searchInputRef = useRef(null);
+  const suggestionQueryRef = useRef("");
+  const originSourceRef = useRef(null);
+  const profileRequestRef = useRef(0);
+  // Leaflet handlers are bound once when the map is created; they call the latest
+  // component handlers through this ref
+  const mapActionsRef = useRef({});
+  const startedRef = useRef(false);
+  // Trip names and fare settings as of the last render, for routes that arrive later
+  const tripStateRef = useRef({});
+  // Address lookup for the latest origin, so its trip can be recorded under that name
+  const originNameRef = useRef(null);
+  const [originQuery, setOriginQuery] = useState("");
+  const [originResults, setOriginResults] = useState([]);
+  const [originSearchLoading, setOriginSearchLoading] = useState(false);
+  const [originSearchError, setOriginSearchError] = useState(null);
+
+  // Track connectivity so the UI can explain offline routes and searches
+  useEffect(() => {
+    const updateOnline = () => setIsOnline(navigator.onLine);
+    window.addEventListener("online", updateOnline);
+    window.addEventListener("offline", updateOnline);
+    return () => {
+      window.removeEventListener("online", updateOnline);
+      window.removeEventListener("offline", updateOnline);
+    };
+  }, []);
 
   // Check if user is on mobile device
   useEffect(() => {
@@ -56,7 +246,7 @@ const RouteFinder = () => {
     setIsMobile(checkMobile());
   }, []);
 
-  // Load Leaflet CSS and JS
+  // Load Leaflet from the app bundle so the map doesn't depend on reaching a CDN
   useEffect(() => {
     // Check if Leaflet is already loaded
     if (window.L) {
@@ -64,269 +254,121 @@ const RouteFinder = () => {
       return;
     }
 
-    // Load Leaflet CSS
-    const link = document.createElement('link');
-    link.rel = 'stylesheet';
-    link.href = 'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css';
-    link.integrity = 'sha256-p4NxAoJBhIIN+hmNHrzRCf9tD/miZyoHS5obTRR9BMY=';
-    link.crossOrigin = '';
-    document.head.appendChild(link);
-
-    // Load Leaflet JS
-    const script = document.createElement('script');
-    script.src = 'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js';
-    script.integrity = 'sha256-20nQCchB9co0qIjJZRGuk2/Z9VM+kNiyxNV1lvTlZBo=';
-    script.crossOrigin = '';
-    script.async = true;
-    
-    script.onload = () => {
-      console.log('Leaflet loaded successfully');
-      setLeafletLoaded(true);
-    };
-    
-    script.onerror = () => {
-      console.error('Failed to load Leaflet');
-      setLocationError("Failed to load map library. Please check your internet connection.");
-    };
-
-    document.head.appendChild(script);
+    let cancelled = false;
+    import("leaflet")
+      .then((leaflet) => {
+        window.L = leaflet.default || leaflet;
+        if (cancelled) return;
+        console.log('Leaflet loaded successfully');
+        setLeafletLoaded(true);
+      })
+      .catch((error) => {
+        console.error('Failed to load Leaflet:', error);
+        if (!cancelled) {
+          setLocationError("Failed to load map library. Please refresh the page.");
+        }
+      });
 
-    // Cleanup function
     return () => {
-      // Don't remove the CSS as it might be used by other components
-      if (script.parentNode) {
-        script.parentNode.removeChild(script);
-      }
+      cancelled = true;
     };
   }, []);
 
-  // Enhanced reverse geocoding function
-  const getDetailedAddress = (data) => {
-    const address = data.address || {};
-    
-    // Priority hierarchy for place names
-    const placeHierarchy = [
-      // Immediate location identifiers
-      address.amenity,           // Specific place (school, mall, etc.)
-      address.road,              // Street name
-      address.neighbourhood,     // Neighborhood
-      address.suburb,            // Subdivision/Suburb
-      address.village,           // Village
-      address.hamlet,            // Hamlet
-      address.quarter,           // Quarter/Zone
-      address.residential,       // Residential area
-      address.city_district,     // City district
-      
-      // Administrative boundaries
-      address.town,              // Town
-      address.municipality,      // Municipality
-      address.city,              // City
-      address.county,            // County
-      
-      // Smallest administrative units
-      address.barangay,          // Barangay (Philippines)
-      `Barangay ${address.barangay}`,
-      address.subdistrict,       // Subdistrict
-      address.district,          // District
-    ];
-
-    // Find the first non-empty value
-    const placeName = placeHierarchy.find(value => value && value.trim() !== '');
-    
-    return placeName || null;
+  // Address state for each place the app describes
+  const addressTargets = {
+    origin: { setDetails: setOriginDetails, setLoading: setOriginAddressLoading },
+    clicked: { setDetails: setClickedDetails, setLoading: setClickedAddressLoading },
+    destination: { setDetails: setDestinationDetails, setLoading: setDestinationAddressLoading },
   };
 
-  // Enhanced location name fetcher with boundary check
-  const fetchEnhancedLocationName = async (lat, lng) => {
+  // Reverse geocode a point and store its canonical address for the origin, clicked point or
+  // destination. Resolves to the place's short label (null when it couldn't be described) and
+  // the geocoder's raw address for the jurisdiction address fallback.
+  const fetchAddressDetails = async (lat, lng, target) => {
+    const { setDetails, setLoading } = addressTargets[target];
+    setLoading(true);
     try {
-      setOriginAddressLoading(true);
       const data = await mapService.reverseGeocode(lat, lng);
-      
-      console.log('Full geocoding response:', data);
-      
-      const address = data.address || {};
-      address._displayName = data.displayName;
-      
-      let placeName = getDetailedAddress(data);
-      
-      // Store detailed address information
-      const newOriginDetails = {
-        road: address.road,
-        neighbourhood: address.neighbourhood,
-        suburb: address.suburb,
-        barangay: address.barangay,
-        village: address.village,
-        municipality: address.municipality,
-        city: address.city,
-        province: address.state,
-        region: address.region,
-        fullAddress: data.displayName
-      };
-
-      setOriginDetails(newOriginDetails);
-
-      // Check jurisdiction boundaries
-      const withinPanglao = checkPanglaoBoundary(address);
-      const withinTagbilaran = checkTagbilaranBoundary(address);
-      const detectedLocationType = determineLocationType(address);
-      
-      setIsWithinPanglao(withinPanglao);
-      setIsWithinTagbilaran(withinTagbilaran);
-      setLocationType(detectedLocationType);
-
-      console.log('Jurisdiction check results:', {
-        withinPanglao,
-        withinTagbilaran,
-        locationType: detectedLocationType
-      });
+      let details = await normalizeAddress(data);
+      let rawAddress = { ...data.address, _displayName: data.displayName };
 
-      // If no specific place found, try with lower zoom level for broader area
-      if (!placeName) {
+      // A weak match at street level may resolve better at the broader area zoom
+      if (details.confidence < CONFIDENCE_LEVELS.MEDIUM) {
         const broaderData = await mapService.reverseGeocode(lat, lng, 14);
-        placeName = getDetailedAddress(broaderData);
-        setOriginDetails(prev => ({
-          ...prev,
-          ...broaderData.address,
-          fullAddress: broaderData.displayName
-        }));
-        
-        // Re-check boundary with broader data
-        const broaderWithinPanglao = checkPanglaoBoundary(broaderData.address);
-        const broaderWithinTagbilaran = checkTagbilaranBoundary(broaderData.address);
-        const broaderLocationType = determineLocationType(broaderData.address);
-        
-        setIsWithinPanglao(broaderWithinPanglao);
-        setIsWithinTagbilaran(broaderWithinTagbilaran);
-        setLocationType(broaderLocationType);
+        const broaderDetails = await normalizeAddress(broaderData);
+        if (broaderDetails.confidence > details.confidence) {
+          details = broaderDetails;
+          rawAddress = { ...broaderData.address, _displayName: broaderData.displayName };
+        }
       }
-      
-      // Final fallback - use coordinates with context
-      return placeName || `Location near ${lat.toFixed(4)}, ${lng.toFixed(4)}`;
-      
-    } catch (err) {
-      // Set to false if geocoding fails
-      setIsWithinPanglao(false);
-      setIsWithinTagbilaran(false);
-      setLocationType('outside');
-      
-      // Set fallback fullAddress on error
-      setOriginDetails({
-        fullAddress: `Location at ${lat.toFixed(6)}, ${lng.toFixed(6)}`
-      });
-      
-      return `Location at ${lat.toFixed(4)}, ${lng.toFixed(4)}`;
-    } finally {
-      setOriginAddressLoading(false);
-    }
-  };
 
-  // Function to get detailed address for clicked coordinates
-  const getDetailedAddressForCoordinates = async (lat, lng) => {
-    try {
-      setClickedAddressLoading(true);
-      const data = await mapService.reverseGeocode(lat, lng);
-      
-      const address = data.address || {};
-      let placeName = getDetailedAddress(data);
-      
-      // Store detailed address information for clicked location
-      const newClickedDetails = {
-        road: address.road,
-        neighbourhood: address.neighbourhood,
-        suburb: address.suburb,
-        barangay: address.barangay,
-        village: address.village,
-        municipality: address.municipality,
-        city: address.city,
-        province: address.state,
-        fullAddress: data.displayName
-      };
-
-      setClickedDetails(newClickedDetails);
-
-      // If no specific place found, try with lower zoom level for broader area
-      if (!placeName) {
-        const broaderData = await mapService.reverseGeocode(lat, lng, 14);
-        placeName = getDetailedAddress(broaderData);
-        setClickedDetails(prev => ({
-          ...prev,
-          ...broaderData.address,
-          fullAddress: broaderData.displayName
-        }));
-      }
-      
-      // Final fallback - use coordinates with context
-      return placeName || `Location near ${lat.toFixed(4)}, ${lng.toFixed(4)}`;
-      
+      setDetails({ ...details, fullAddress: formatAddress(details) || details.displayName });
+      return { label: placeLabel(details), rawAddress };
     } catch (err) {
-      return `Location at ${lat.toFixed(4)}, ${lng.toFixed(4)}`;
+      setDetails({ fullAddress: `Location at ${lat.toFixed(6)}, ${lng.toFixed(6)}` });
+      return { label: null, rawAddress: null };
     } finally {
-      setClickedAddressLoading(false);
+      setLoading(false);
     }
   };
 
-  // Function to get detailed address for destination
-  const fetchDestinationDetails = async (lat, lng) => {
-    try {
-      setDestinationAddressLoading(true);
-      const data = await mapService.reverseGeocode(lat, lng);
-      
-      const address = data.address || {};
-      
-      // Store detailed address information for destination
-      const newDestinationDetails = {
-        road: address.road,
-        neighbourhood: address.neighbourhood,
-        suburb: address.suburb,
-        barangay: address.barangay,
-        village: address.village,
-        municipality: address.municipality,
-        city: address.city,
-        province: address.state,
-        fullAddress: data.displayName
-      };
-
-      setDestinationDetails(newDestinationDetails);
-      return data.displayName;
-    } catch (err) {
-      const fallbackAddress = `Location at ${lat.toFixed(6)}, ${lng.toFixed(6)}`;
-      setDestinationDetails({ fullAddress: fallbackAddress });
-      return fallbackAddress;
-    } finally {
-      setDestinationAddressLoading(false);
-    }
+  // Describe the user's location and check which jurisdiction it is in
+  const fetchEnhancedLocationName = async (lat, lng) => {
+    const { label, rawAddress } = await fetchAddressDetails(lat, lng, "origin");
+
+    // Boundary polygons decide; the address only helps when they can't
+    const jurisdiction = determineLocationType(lat, lng, rawAddress);
+    setLocationType(jurisdiction.locationType);
+    setJurisdictionMethod(jurisdiction.method);
+    console.log('Jurisdiction check results:', jurisdiction);
+
+    return label || `Location near ${lat.toFixed(4)}, ${lng.toFixed(4)}`;
   };
 
   // NEW: Function to fetch search suggestions
   const fetchSearchSuggestions = async (query) => {
     if (!query.trim() || query.length < 2) {
+      suggestionQueryRef.current = "";
       setSearchSuggestions([]);
       setShowSuggestions(false);
       return;
     }
 
+    suggestionQueryRef.current = query;
     setSuggestionsLoading(true);
+
+    // Local barangay, municipality and POI matches show right away and stay on top
+    const localResults = await searchLocalPlaces(query);
+    if (suggestionQueryRef.current !== query) return;
+    setSearchSuggestions(localResults);
+    setShowSuggestions(localResults.length > 0);
+
     try {
       const results = await mapService.searchLocation(query);
-      setSearchSuggestions(results);
-      setShowSuggestions(results.length > 0);
+      if (suggestionQueryRef.current !== query) return;
+      const merged = mergeSearchResults(localResults, results);
+      setSearchSuggestions(merged);
+      setShowSuggestions(merged.length > 0);
     } catch (error) {
+      // A newer query replaced this one before it was sent
+      if (isSupersededRequest(error)) return;
       console.error('Error fetching search suggestions:', error);
-      setSearchSuggestions([]);
-      setShowSuggestions(false);
     } finally {
-      setSuggestionsLoading(false);
+      if (suggestionQueryRef.current === query) {
+        setSuggestionsLoading(false);
+      }
     }
   };
 
   // NEW: Handle destination input change with debouncing
   useEffect(() => {
     const timer = setTimeout(() => {
-      if (destination.trim()) {
-        fetchSearchSuggestions(destination);
-      } else {
+      if (!destination.trim()) {
         setSearchSuggestions([]);
         setShowSuggestions(false);
+      } else if (document.activeElement === searchInputRef.current) {
+        // Only suggest while typing, not when a pick or map point fills the box
+        fetchSearchSuggestions(destination);
       }
     }, 300); // 300ms debounce
 
@@ -334,12 +376,23 @@ const RouteFinder = () => {
   }, [destination]);
 
   // NEW: Handle suggestion selection
-  const handleSuggestionSelect = (suggestion) => {
-    console.log('Selected suggestion:', suggestion); // Debug log
+  const handleSuggestionSelect = async (selected) => {
+    console.log('Selected suggestion:', selected); // Debug log
+    setShowSuggestions(false);
+
+    // Barangays and municipalities from locations.json may not have coordinates yet
+    let suggestion = selected;
+    try {
+      suggestion = await resolveLocalResult(selected, (query) => mapService.searchLocation(query));
+    } catch (error) {
+      console.error('Error locating suggestion:', error);
+      setSearchError(`Couldn't find ${selected.name} on the map. Try a nearby landmark instead.`);
+      return;
+    }
+
     // Use the primary name for the input field
     setDestination(suggestion.name);
     setDestinationCoords([suggestion.lat, suggestion.lng]);
-    setShowSuggestions(false);
     
     // Set destination details with full address for display
     setDestinationDetails({
@@ -349,34 +402,223 @@ const RouteFinder = () => {
 
     // Automatically calculate route if location is available
     if (location) {
-      calculateRoute(suggestion.lat, suggestion.lng);
+      const routeInfo = await calculateRoute(suggestion.lat, suggestion.lng);
+      if (routeInfo) recordRoutedTrip(routeInfo, location, waypoints, [suggestion.lat, suggestion.lng]);
+    }
+  };
+
+  // Route for the chosen vehicle, drawn for comparison only. Fares always come from the
+  // tricycle route, so this is skipped for tricycles and a failure doesn't block the quote.
+  const fetchProfileRoute = async (tripWaypoints, profile) => {
+    const request = ++profileRequestRef.current;
+    let profileInfo = null;
+    if (profile !== FARE_ROUTING_PROFILE) {
+      try {
+        profileInfo = await mapService.calculateRoute(tripWaypoints, { profile });
+      } catch (err) {
+        console.warn(`Could not route for ${profile}:`, err);
+      }
+    }
+    // A newer trip or vehicle choice replaced this request
+    if (request === profileRequestRef.current) {
+      setProfileRoute(profileInfo);
     }
   };
 
-  // NEW: Calculate route function
-  const calculateRoute = async (destLat, destLon) => {
+  // NEW: Calculate route function (origin → stops → destination). Resolves to the route, or
+  // null when it couldn't be calculated.
+  const calculateRoute = async (destLat, destLon, stops = waypoints, origin = location, profile = routingProfile) => {
     setSearchLoading(true);
     setSearchError(null);
 
+    const tripWaypoints = [
+      { lat: origin.latitude, lng: origin.longitude },
+      ...stops,
+      { lat: destLat, lng: destLon }
+    ];
     try {
-      const routeInfo = await mapService.calculateRoute(
-        location.latitude, 
-        location.longitude, 
-        destLat, 
-        destLon
-      );
+      const routeInfo = await mapService.calculateRoute(tripWaypoints, { profile: FARE_ROUTING_PROFILE });
       
+      setRouteOptions([routeInfo, ...(routeInfo.alternatives || [])]);
+      setSelectedRouteIndex(0);
       setRoute(routeInfo);
+      setShareMessage(null);
+      fetchProfileRoute(tripWaypoints, profile);
+      return routeInfo;
     } catch (err) {
+      profileRequestRef.current++;
+      setProfileRoute(null);
       setSearchError("Error calculating route. Please try again.");
+      return null;
     } finally {
       setSearchLoading(false);
     }
   };
 
-  // Initialize map when location and Leaflet are available
+  // Put a trip the user searched for at the top of the recent trips, under the names shown for
+  // it and priced with the fare settings in use. Re-routes from marker drags and stop edits
+  // aren't recorded, so they don't push real trips out of the history.
+  const recordRoutedTrip = async (routeInfo, origin, stops, destinationPoint) => {
+    try {
+      const { destination: destinationName, passengerType, tripTime, bags, specialBooking } = tripStateRef.current;
+      const nameRequest = originNameRef.current?.origin === origin ? originNameRef.current.request : null;
+      const originLabel = origin.name || (nameRequest && (await nameRequest)) || getOriginLabel(origin);
+      setRecentTrips(recordTrip(buildTripRecord({
+        origin: { name: originLabel, lat: origin.latitude, lng: origin.longitude },
+        destination: { name: destinationName, lat: destinationPoint[0], lng: destinationPoint[1] },
+        stops,
+        route: routeInfo,
+        passengerType,
+        fareOptions: { date: tripTime || undefined, bags, specialBooking },
+      })));
+    } catch (error) {
+      // The trip is still on screen; it just won't show up under recent trips
+      console.error('Error recording trip:', error);
+    }
+  };
+
+  // Show the trip for another vehicle; the fare route stays as it is
+  const handleRoutingProfileChange = (profile) => {
+    setRoutingProfile(profile);
+    if (location && destinationCoords) {
+      fetchProfileRoute([
+        { lat: location.latitude, lng: location.longitude },
+        ...waypoints,
+        { lat: destinationCoords[0], lng: destinationCoords[1] }
+      ], profile);
+    }
+  };
+
+  // Quote the fare for the route the driver actually took
+  const selectRouteOption = (index) => {
+    setSelectedRouteIndex(index);
+    setRoute(routeOptions[index]);
+  };
+
+  // Replace the list of stops and re-route through them
+  const updateWaypoints = (nextWaypoints) => {
+    setWaypoints(nextWaypoints);
+    if (location && destinationCoords) {
+      calculateRoute(destinationCoords[0], destinationCoords[1], nextWaypoints);
+    }
+  };
+
+  // Add the clicked map point as the last stop before the destination
+  const handleAddClickedStop = () => {
+    if (!clickedCoords) return;
+    updateWaypoints([
+      ...waypoints,
+      {
+        id: `${clickedCoords.lat},${clickedCoords.lng},${Date.now()}`,
+        name: clickedAddress || `Stop at ${clickedCoords.lat.toFixed(4)}, ${clickedCoords.lng.toFixed(4)}`,
+        lat: clickedCoords.lat,
+        lng: clickedCoords.lng
+      }
+    ]);
+  };
+
+  // Start the trip from the clicked point instead of the device location
+  const handleSetClickedOrigin = () => {
+    if (!clickedCoords) return;
+    applyOrigin(clickedCoords.lat, clickedCoords.lng, { source: "manual" });
+    clearClickedPoint();
+  };
+
+  // Drop the blue marker of the last clicked point
+  const clearClickedPoint = () => {
+    const map = mapRef.current?.leafletMap;
+    if (map && mapRef.current.clickMarker) {
+      map.removeLayer(mapRef.current.clickMarker);
+      mapRef.current.clickMarker = null;
+    }
+    setClickedCoords(null);
+  };
+
+  // Make a point on the map the destination and price the trip to it right away
+  const routeToPoint = (lat, lng, name = null) => {
+    if (!location) {
+      setOriginSearchError("Choose a starting point first, then pick the destination on the map.");
+      return;
+    }
+
+    const isClickedPoint = clickedCoords?.lat === lat && clickedCoords?.lng === lng;
+    clearClickedPoint();
+    setShowSuggestions(false);
+    setDestination(
+      name || (isClickedPoint && clickedAddress ? clickedAddress : `Pinned location (${lat.toFixed(4)}, ${lng.toFixed(4)})`)
+    );
+    setDestinationCoords([lat, lng]);
+    setDestinationDetails({});
+    calculateRoute(lat, lng);
+  };
+
+  // Search for a starting point (e.g. tonight's hotel) by name
+  const handleOriginSearch = async (e) => {
+    e.preventDefault();
+    if (!originQuery.trim()) return;
+
+    setOriginSearchLoading(true);
+    setOriginSearchError(null);
+    try {
+      const localResults = await searchLocalPlaces(originQuery);
+      let results = localResults;
+      try {
+        const remoteResults = await mapService.searchLocation(originQuery, { channel: "origin-search" });
+        results = mergeSearchResults(localResults, remoteResults);
+      } catch (error) {
+        // Local matches are still worth showing when the geocoder is unreachable
+        if (isSupersededRequest(error)) return;
+        if (localResults.length === 0) throw error;
+      }
+
+      setOriginResults(results);
+      if (results.length === 0) {
+        setOriginSearchError("No places found. Try a different name or click the map.");
+      }
+    } catch (error) {
+      setOriginSearchError("Error searching for a starting point. Please try again.");
+    } finally {
+      setOriginSearchLoading(false);
+    }
+  };
+
+  const handleOriginSelect = async (result) => {
+    try {
+      const place = await resolveLocalResult(result, (query) =>
+        mapService.searchLocation(query, { channel: "origin-search" })
+      );
+      setOriginResults([]);
+      setOriginQuery(place.name);
+      await applyOrigin(place.lat, place.lng, { source: "manual", name: place.name });
+    } catch (error) {
+      setOriginSearchError(`Couldn't find ${result.name} on the map. Try a nearby landmark instead.`);
+    }
+  };
+
+  // Go back to starting trips from the device position
+  const handleUseDeviceLocation = () => {
+    setOriginResults([]);
+    setOriginQuery("");
+    setOriginSearchError(null);
+    requestLocation();
+  };
+
+  // Move a stop one place earlier (-1) or later (+1) in the trip
+  const moveWaypoint = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= waypoints.length) return;
+    const next = [...waypoints];
+    [next[index], next[target]] = [next[target], next[index]];
+    updateWaypoints(next);
+  };
+
+  const removeWaypoint = (index) => {
+    updateWaypoints(waypoints.filter((_, i) => i !== index));
+  };
+
+  // Initialize map once Leaflet is available, on the origin if it is already known
   useEffect(() => {
-    if (location && leafletLoaded && !mapInitialized && mapRef.current) {
+    if (leafletLoaded && !mapInitialized && mapRef.current) {
       console.log('Initializing map...');
       
       const L = window.L;
@@ -386,19 +628,20 @@ const RouteFinder = () => {
           mapRef.current.leafletMap.remove();
         }
 
-        const map = L.map(mapRef.current).setView(
-          [location.latitude, location.longitude],
-          15
-        );
+        const map = location
+          ? L.map(mapRef.current).setView([location.latitude, location.longitude], 15)
+          : L.map(mapRef.current).setView(DEFAULT_MAP_CENTER, DEFAULT_MAP_ZOOM);
         
         // Store map instance in ref
         mapRef.current.leafletMap = map;
 
         // Add tile layer using the service config
         const tileConfig = mapService.getTileConfig();
+        // CORS tile requests let the service worker cache tiles the receipt snapshot can reuse
         L.tileLayer(tileConfig.url, {
           attribution: tileConfig.attribution,
           maxZoom: 19,
+          crossOrigin: true,
         }).addTo(map);
 
         // Add click event listener to the map
@@ -407,8 +650,8 @@ const RouteFinder = () => {
           setClickedCoords({ lat, lng });
           
           // Get detailed address for clicked location
-          const placeName = await getDetailedAddressForCoordinates(lat, lng);
-          setClickedAddress(placeName);
+          const { label } = await fetchAddressDetails(lat, lng, "clicked");
+          setClickedAddress(label || `Location near ${lat.toFixed(4)}, ${lng.toFixed(4)}`);
           
           // Remove previous click marker if exists
           if (mapRef.current.clickMarker) {
@@ -427,30 +670,21 @@ const RouteFinder = () => {
             }),
           })
             .addTo(map)
-            .bindPopup(`
-              <strong>📍 Clicked Location</strong><br/>
-              Fetching address...<br/>
-              Lat: ${lat.toFixed(6)}<br/>
-              Lng: ${lng.toFixed(6)}
-            `)
+            .bindPopup(getClickedPopupHtml(lat, lng, "Fetching address..."))
             .openPopup();
         });
 
-        // Add origin marker with initial popup
-        L.marker([location.latitude, location.longitude], {
-          icon: L.icon({
-            iconUrl: "https://raw.githubusercontent.com/pointhi/leaflet-color-markers/master/img/marker-icon-2x-green.png",
-            shadowUrl: "https://cdnjs.cloudflare.com/ajax/libs/leaflet/0.7.7/images/marker-shadow.png",
-            iconSize: [25, 41],
-            iconAnchor: [12, 41],
-            popupAnchor: [1, -34],
-            shadowSize: [41, 41],
-          }),
-        })
-          .addTo(map)
-          .bindPopup(
-            `<strong>📍 Your Location</strong><br/>Fetching address...<br/>Lat: ${location.latitude.toFixed(6)}<br/>Lng: ${location.longitude.toFixed(6)}`
-          );
+        // Right-click, or a long-press on touch screens, routes straight to the point
+        map.on('contextmenu', (e) => {
+          mapActionsRef.current.routeTo?.(e.latlng.lat, e.latlng.lng);
+        });
+
+        // Actions from the buttons inside popups
+        map.getContainer().addEventListener('click', (event) => {
+          const button = event.target.closest('[data-map-action]');
+          if (!button) return;
+          mapActionsRef.current[button.dataset.mapAction]?.(Number(button.dataset.lat), Number(button.dataset.lng));
+        });
 
         setMapInitialized(true);
         console.log('Map initialized successfully');
@@ -462,6 +696,43 @@ const RouteFinder = () => {
     }
   }, [location, leafletLoaded, mapInitialized]);
 
+  // Draw the origin marker and bring a newly chosen origin into view
+  useEffect(() => {
+    if (!mapInitialized || !mapRef.current?.leafletMap || !location) return;
+
+    const L = window.L;
+    const map = mapRef.current.leafletMap;
+
+    map.eachLayer((layer) => {
+      if (layer.options?.isOriginMarker) {
+        map.removeLayer(layer);
+      }
+    });
+
+    L.marker([location.latitude, location.longitude], {
+      icon: L.icon({
+        iconUrl: "https://raw.githubusercontent.com/pointhi/leaflet-color-markers/master/img/marker-icon-2x-green.png",
+        shadowUrl: "https://cdnjs.cloudflare.com/ajax/libs/leaflet/0.7.7/images/marker-shadow.png",
+        iconSize: [25, 41],
+        iconAnchor: [12, 41],
+        popupAnchor: [1, -34],
+        shadowSize: [41, 41],
+      }),
+      isOriginMarker: true,
+      draggable: true,
+    })
+      .on("dragend", (e) => {
+        const { lat, lng } = e.target.getLatLng();
+        mapActionsRef.current.setOrigin?.(lat, lng);
+      })
+      .addTo(map)
+      .bindPopup(
+        `<strong>📍 ${getOriginLabel(location)}</strong><br/>Fetching address...<br/>Lat: ${location.latitude.toFixed(6)}<br/>Lng: ${location.longitude.toFixed(6)}`
+      );
+
+    map.setView([location.latitude, location.longitude], Math.max(map.getZoom(), 15));
+  }, [location, mapInitialized]);
+
   // Update marker popups when address data is available
   const updateMarkerPopups = () => {
     if (!mapRef.current?.leafletMap) return;
@@ -477,7 +748,7 @@ const RouteFinder = () => {
         // Check if this is the origin marker (green)
         if (latLng.lat === location?.latitude && latLng.lng === location?.longitude) {
           const popupContent = `
-            <strong>📍 Your Location</strong><br/>
+            <strong>📍 ${getOriginLabel(location)}</strong><br/>
             ${originAddressLoading ? 'Fetching address...' : (originDetails.fullAddress || originName || 'Location')}<br/>
             Lat: ${location.latitude.toFixed(6)}<br/>
             Lng: ${location.longitude.toFixed(6)}
@@ -487,13 +758,11 @@ const RouteFinder = () => {
         
         // Check if this is the clicked marker (blue)
         if (clickedCoords && latLng.lat === clickedCoords.lat && latLng.lng === clickedCoords.lng) {
-          const popupContent = `
-            <strong>📍 Clicked Location</strong><br/>
-            ${clickedAddressLoading ? 'Fetching address...' : (clickedDetails.fullAddress || clickedAddress || 'Location')}<br/>
-            Lat: ${clickedCoords.lat.toFixed(6)}<br/>
-            Lng: ${clickedCoords.lng.toFixed(6)}
-          `;
-          layer.setPopupContent(popupContent);
+          layer.setPopupContent(getClickedPopupHtml(
+            clickedCoords.lat,
+            clickedCoords.lng,
+            clickedAddressLoading ? 'Fetching address...' : (clickedDetails.fullAddress || clickedAddress || 'Location')
+          ));
         }
         
         // Check if this is the destination marker (red)
@@ -515,6 +784,15 @@ const RouteFinder = () => {
     updateMarkerPopups();
   }, [originDetails, clickedDetails, destinationDetails, originAddressLoading, clickedAddressLoading, destinationAddressLoading]);
 
+  // The destination jurisdiction drives the inter-town fare rules. The boundary polygons decide
+  // right away; the address lookup in the route-draw effect can only refine it.
+  useEffect(() => {
+    destinationCoordsRef.current = destinationCoords;
+    setDestinationLocationType(
+      destinationCoords ? determineLocationType(destinationCoords[0], destinationCoords[1]).locationType : null
+    );
+  }, [destinationCoords]);
+
   // Draw route on map when route is updated
   useEffect(() => {
     if (route && destinationCoords && mapRef.current?.leafletMap) {
@@ -523,7 +801,7 @@ const RouteFinder = () => {
 
       // Remove existing route and destination marker
       map.eachLayer((layer) => {
-        if (layer.options?.className === "route-line") {
+        if (layer.options?.className === "route-line" || layer.options?.className === "route-alternative") {
           map.removeLayer(layer);
         }
         if (layer.options?.isDestinationMarker) {
@@ -531,15 +809,33 @@ const RouteFinder = () => {
         }
       });
 
-      const routeCoords = route.coordinates.map((coord) => [
+      const toLatLngs = (coordinates) => coordinates.map((coord) => [
         coord[1],
         coord[0],
       ]);
-      
+
+      // Add the other route options as dashed lines underneath; clicking one selects it
+      routeOptions.forEach((option, index) => {
+        if (index === selectedRouteIndex) return;
+        L.polyline(toLatLngs(option.coordinates), {
+          color: getRouteColor(index),
+          weight: 4,
+          opacity: 0.5,
+          dashArray: "8 8",
+          className: "route-alternative",
+        })
+          .addTo(map)
+          .bindTooltip(`Route ${index + 1}: ${option.distance.toFixed(2)} km · ${Math.round(option.duration)} min`)
+          .on("click", () => {
+            setSelectedRouteIndex(index);
+            setRoute(option);
+          });
+      });
+
       // Add route line
-      L.polyline(routeCoords, {
-        color: "#ff6b6b",
-        weight: 4,
+      L.polyline(toLatLngs(route.coordinates), {
+        color: getRouteColor(selectedRouteIndex),
+        weight: 5,
         opacity: 0.8,
         className: "route-line",
       }).addTo(map);
@@ -555,16 +851,25 @@ const RouteFinder = () => {
           shadowSize: [41, 41],
         }),
         isDestinationMarker: true,
+        draggable: true,
       })
+        .on("dragend", (e) => {
+          const { lat, lng } = e.target.getLatLng();
+          mapActionsRef.current.routeTo?.(lat, lng);
+        })
         .addTo(map)
         .bindPopup(
           `<strong>🎯 Destination</strong><br/>Fetching address...<br/>Lat: ${destinationCoords[0].toFixed(6)}<br/>Lng: ${destinationCoords[1].toFixed(6)}`
         )
         .openPopup();
 
-      // Fetch destination details and update popup
-      fetchDestinationDetails(destinationCoords[0], destinationCoords[1]).then((destinationAddress) => {
-        // Popup will be updated automatically via the updateMarkerPopups function
+      // Fetch destination details (the popup updates via updateMarkerPopups); the address can
+      // place a point just outside the boundary polygons
+      const addressCoords = destinationCoords;
+      fetchAddressDetails(addressCoords[0], addressCoords[1], "destination").then(({ rawAddress }) => {
+        // Ignore lookups for a destination that has since been replaced
+        if (destinationCoordsRef.current !== addressCoords) return;
+        setDestinationLocationType(determineLocationType(addressCoords[0], addressCoords[1], rawAddress).locationType);
       });
 
       // Fit map to show both origin and destination
@@ -574,10 +879,131 @@ const RouteFinder = () => {
       );
       map.fitBounds(bounds, { padding: [50, 50] });
     }
-  }, [route, destinationCoords, destination, location]);
+  }, [route, routeOptions, selectedRouteIndex, destinationCoords, destination, location]);
+
+  // Draw numbered markers for intermediate stops
+  useEffect(() => {
+    if (!mapInitialized || !mapRef.current?.leafletMap) return;
+
+    const L = window.L;
+    const map = mapRef.current.leafletMap;
+
+    map.eachLayer((layer) => {
+      if (layer.options?.isStopMarker) {
+        map.removeLayer(layer);
+      }
+    });
+
+    waypoints.forEach((stop, index) => {
+      L.marker([stop.lat, stop.lng], {
+        icon: L.icon({
+          iconUrl: "https://raw.githubusercontent.com/pointhi/leaflet-color-markers/master/img/marker-icon-2x-orange.png",
+          shadowUrl: "https://cdnjs.cloudflare.com/ajax/libs/leaflet/0.7.7/images/marker-shadow.png",
+          iconSize: [25, 41],
+          iconAnchor: [12, 41],
+          popupAnchor: [1, -34],
+          shadowSize: [41, 41],
+        }),
+        isStopMarker: true,
+      })
+        .addTo(map)
+        .bindPopup(`<strong>🛑 Stop ${index + 1}</strong><br/>${stop.name}`);
+    });
+  }, [waypoints, mapInitialized]);
+
+  // A new or re-selected route has its own steps
+  useEffect(() => {
+    setActiveStepIndex(null);
+  }, [route]);
+
+  // Highlight the selected direction step's stretch of road and bring it into view
+  useEffect(() => {
+    if (!mapInitialized || !mapRef.current?.leafletMap) return;
+
+    const L = window.L;
+    const map = mapRef.current.leafletMap;
+
+    map.eachLayer((layer) => {
+      if (layer.options?.className === "route-step") {
+        map.removeLayer(layer);
+      }
+    });
+
+    const step = activeStepIndex !== null ? route?.steps?.[activeStepIndex] : null;
+    if (!step) return;
+
+    const latLngs = step.coordinates.map((coord) => [coord[1], coord[0]]);
+    if (latLngs.length > 1) {
+      L.polyline(latLngs, {
+        color: "#f59e0b",
+        weight: 9,
+        opacity: 0.9,
+        className: "route-step",
+      }).addTo(map);
+      map.fitBounds(L.latLngBounds(latLngs), { padding: [60, 60], maxZoom: 17 });
+    } else {
+      L.circleMarker(latLngs[0], { radius: 9, color: "#f59e0b", weight: 4, className: "route-step" }).addTo(map);
+      map.setView(latLngs[0], Math.max(map.getZoom(), 16));
+    }
+  }, [route, activeStepIndex, mapInitialized]);
+
+  // Draw the chosen vehicle's route as a grey dashed line beside the tricycle fare route
+  useEffect(() => {
+    if (!mapInitialized || !mapRef.current?.leafletMap) return;
+
+    const L = window.L;
+    const map = mapRef.current.leafletMap;
+
+    map.eachLayer((layer) => {
+      if (layer.options?.className === "profile-route") {
+        map.removeLayer(layer);
+      }
+    });
+
+    if (!profileRoute) return;
+    const profile = getRoutingProfile(profileRoute.profile);
+    L.polyline(profileRoute.coordinates.map((coord) => [coord[1], coord[0]]), {
+      color: "#6b7280",
+      weight: 4,
+      opacity: 0.7,
+      dashArray: "2 8",
+      className: "profile-route",
+    })
+      .addTo(map)
+      .bindTooltip(`${profile.icon} ${profile.label}: ${profileRoute.distance.toFixed(2)} km · ${Math.round(profileRoute.duration)} min`);
+  }, [profileRoute, mapInitialized]);
+
+  // Use a point as the trip origin, re-check which jurisdiction it is in and re-route an
+  // existing trip (or the given destination and stops) from it. name: what the user picked the
+  // point as (a search result or saved place), used for it in the recent trips.
+  const applyOrigin = async (lat, lng, { source, accuracy = null, name = null, destinationPoint = destinationCoords, stops = waypoints }) => {
+    const origin = {
+      latitude: lat,
+      longitude: lng,
+      accuracy,
+      timestamp: Date.now(),
+      source,
+      name,
+    };
+    originSourceRef.current = source;
+    setLocation(origin);
+    setBoundaryCheckLoading(true);
+
+    const nameRequest = fetchEnhancedLocationName(lat, lng);
+    originNameRef.current = { origin, request: nameRequest };
+    if (destinationPoint) {
+      calculateRoute(destinationPoint[0], destinationPoint[1], stops, origin);
+    }
+
+    const placeName = await nameRequest;
+    setOriginName(placeName);
+    setBoundaryCheckLoading(false);
+  };
 
-  // Enhanced geolocation with better error handling
-  const requestLocation = () => {
+  // Enhanced geolocation with better error handling. The automatic request on load doesn't
+  // replace an origin the user already picked by hand. A destination and stops given here are
+  // routed to once the position arrives.
+  const requestLocation = ({ automatic = false, destinationPoint, stops } = {}) => {
     if (!navigator.geolocation) {
       setLocationError("Geolocation is not supported by your browser. Please use a modern browser like Chrome, Firefox, or Safari.");
       return;
@@ -592,21 +1018,18 @@ const RouteFinder = () => {
     };
 
     const successCallback = async (position) => {
-      const lat = position.coords.latitude;
-      const lng = position.coords.longitude;
+      setLocationError(null);
+      if (automatic && originSourceRef.current === "manual") {
+        setBoundaryCheckLoading(false);
+        return;
+      }
 
-      setLocation({
-        latitude: lat,
-        longitude: lng,
+      await applyOrigin(position.coords.latitude, position.coords.longitude, {
+        source: "gps",
         accuracy: position.coords.accuracy,
-        timestamp: Date.now(),
+        destinationPoint,
+        stops,
       });
-      setLocationError(null);
-
-      // Get enhanced location name
-      const placeName = await fetchEnhancedLocationName(lat, lng);
-      setOriginName(placeName);
-      setBoundaryCheckLoading(false);
     };
 
     const errorCallback = (error) => {
@@ -642,27 +1065,177 @@ const RouteFinder = () => {
     navigator.geolocation.getCurrentPosition(successCallback, errorCallback, locationOptions);
   };
 
+  // Start recording a ride with the trip meter
+  const startMeter = () => {
+    if (!navigator.geolocation) {
+      setMeterError("Geolocation is not supported by your browser, so the meter can't track the ride.");
+      return;
+    }
+    setMeterSummary(null);
+    setMeterError(null);
+    setQuotedFare("");
+    setMeterTrack(createMeterTrack());
+    setRouteMonitor(route ? createRouteMonitor(route, monitorSettings) : null);
+    setMeterActive(true);
+  };
+
+  // Stop the meter and keep a summary of the ride, with any detours from the planned route
+  const stopMeter = () => {
+    const endedAt = Date.now();
+    setMeterActive(false);
+    if (meterTrack) {
+      const fareOptions = { bags, specialBooking };
+      const monitor = routeMonitor && finishRouteMonitor(routeMonitor, endedAt);
+      setMeterSummary({
+        ...summarizeMeterTrip(meterTrack, passengerType, fareOptions, endedAt),
+        deviations: monitor ? monitor.deviations : [],
+        detourFare: monitor && estimateDetourFare(monitor, meterTrack, passengerType, { ...fareOptions, finished: true }),
+      });
+    }
+    setMeterTrack(null);
+    setRouteMonitor(null);
+  };
+
   // Retry location function
   const handleRetryLocation = () => {
     setLocationError(null);
     requestLocation();
   };
 
-  // Fetch geolocation on component mount
+  // Fetch geolocation on component mount, and open the trip in a shared link: from its own
+  // origin when it has one, otherwise from the device position once it arrives. The guard
+  // keeps StrictMode's second mount in development from asking and loading twice.
   useEffect(() => {
-    requestLocation();
+    if (startedRef.current) return;
+    startedRef.current = true;
+    requestLocation({ automatic: true, ...(sharedTrip ? loadTrip(sharedTrip) : {}) });
+    // Mount only: sharedTrip never changes, and re-running for newer handlers would ask again
+    // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
-  // Handle destination search (legacy function for form submission)
-  const handleSearchDestination = async (e) => {
-    e.preventDefault();
-    if (!destination.trim() || !location) return;
+  // Keep the handlers used by map popups, long-presses and marker drags current
+  useEffect(() => {
+    mapActionsRef.current = {
+      routeTo: routeToPoint,
+      setOrigin: (lat, lng) => {
+        clearClickedPoint();
+        applyOrigin(lat, lng, { source: "manual" });
+      },
+    };
+  });
+
+  // Origin, stops and destination of the routed trip on screen, or null before there is one
+  const getCurrentTrip = () => {
+    if (!route || !location || !destinationCoords) return null;
+    return {
+      origin: { name: originName || getOriginLabel(location), lat: location.latitude, lng: location.longitude },
+      destination: { name: destination, lat: destinationCoords[0], lng: destinationCoords[1] },
+      stops: waypoints,
+    };
+  };
 
-    setSearchLoading(true);
-    setSearchError(null);
+  useEffect(() => {
+    tripStateRef.current = { destination, passengerType, tripTime, bags, specialBooking };
+  });
 
-    try {
-      const results = await mapService.searchLocation(destination);
+  // Keep the page URL on the trip on screen, without adding a history entry per change
+  const currentTrip = getCurrentTrip();
+  const tripQuery = currentTrip ? buildTripSearchParams({ ...currentTrip, passengerType, tripTime }).toString() : null;
+  useEffect(() => {
+    if (tripQuery !== null && tripQuery !== searchParams.toString()) {
+      setSearchParams(tripQuery, { replace: true });
+    }
+  }, [tripQuery, searchParams, setSearchParams]);
+
+  // Submit queued overcharge reports on load and whenever the device comes back online
+  useEffect(() => {
+    const flush = () => flushComplaintQueue().then(({ queue }) => setReportQueue(queue));
+    flush();
+    window.addEventListener("online", flush);
+    return () => window.removeEventListener("online", flush);
+  }, []);
+
+  // Follow the device position while the trip meter runs
+  useEffect(() => {
+    if (!meterActive) return;
+
+    const watchId = navigator.geolocation.watchPosition(
+      (position) => {
+        const fix = toTrackFix(position);
+        setMeterTrack((track) => track && addTrackPoint(track, fix));
+        setRouteMonitor((monitor) => monitor && updateRouteMonitor(monitor, fix));
+        setMeterError(null);
+      },
+      (error) => {
+        setMeterError(
+          error.code === error.PERMISSION_DENIED
+            ? "Location access was denied, so the meter can't track the ride."
+            : "Waiting for a GPS fix... Keep the app open with a clear view of the sky."
+        );
+      },
+      { enableHighAccuracy: true, timeout: 15000, maximumAge: 0 }
+    );
+
+    return () => navigator.geolocation.clearWatch(watchId);
+  }, [meterActive]);
+
+  // Buzz the phone when the vehicle has strayed from the planned route
+  const offRouteAlert = Boolean(routeMonitor?.alerting);
+  useEffect(() => {
+    if (offRouteAlert) {
+      navigator.vibrate?.([300, 150, 300]);
+    }
+  }, [offRouteAlert]);
+
+  // Draw the metered GPS track (live, or of the last finished ride)
+  useEffect(() => {
+    if (!mapInitialized || !mapRef.current?.leafletMap) return;
+
+    const L = window.L;
+    const map = mapRef.current.leafletMap;
+
+    map.eachLayer((layer) => {
+      if (layer.options?.className === "meter-track") {
+        map.removeLayer(layer);
+      }
+    });
+
+    const coordinates = meterTrack
+      ? meterTrack.points.map((point) => [point.latitude, point.longitude])
+      : meterSummary?.coordinates.map(([lng, lat]) => [lat, lng]);
+    if (!coordinates || coordinates.length < 2) return;
+
+    L.polyline(coordinates, {
+      color: "#16a34a",
+      weight: 5,
+      opacity: 0.8,
+      className: "meter-track",
+    }).addTo(map);
+
+    // Detours from the planned route in red
+    const deviations = routeMonitor ? routeMonitor.deviations : meterSummary?.deviations || [];
+    deviations.forEach((deviation) => {
+      L.polyline(deviation.coordinates.map(([lng, lat]) => [lat, lng]), {
+        color: "#dc2626",
+        weight: 6,
+        opacity: 0.9,
+        className: "meter-track",
+      })
+        .addTo(map)
+        .bindTooltip(`Off route: ${describeDeviation({ ...deviation, endedAt: deviation.endedAt ?? Date.now() })}`);
+    });
+  }, [meterTrack, meterSummary, routeMonitor, mapInitialized]);
+
+  // Handle destination search (legacy function for form submission)
+  const handleSearchDestination = async (e) => {
+    e.preventDefault();
+    if (!destination.trim() || !location) return;
+
+    setSearchLoading(true);
+    setSearchError(null);
+
+    try {
+      const results = await mapService.searchLocation(destination);
 
       if (!results || results.length === 0) {
         setSearchError("Destination not found. Please try a different search.");
@@ -673,7 +1246,8 @@ const RouteFinder = () => {
       const destLon = results[0].lng;
       setDestinationCoords([destLat, destLon]);
 
-      await calculateRoute(destLat, destLon);
+      const routeInfo = await calculateRoute(destLat, destLon);
+      if (routeInfo) recordRoutedTrip(routeInfo, location, waypoints, [destLat, destLon]);
     } catch (err) {
       setSearchError("Error searching destination. Please try again.");
     } finally {
@@ -681,22 +1255,23 @@ const RouteFinder = () => {
     }
   };
 
+  // Labels for the kind of place a local suggestion is
+  const LOCAL_KIND_LABELS = { barangay: "Barangay", municipality: "Municipality" };
+  const getSuggestionBadge = (suggestion) => {
+    if (suggestion.source !== "local") return suggestion.type;
+    if (suggestion.kind === "poi") return suggestion.category === "tourism" ? "Tourist spot" : suggestion.category;
+    return LOCAL_KIND_LABELS[suggestion.kind];
+  };
+
   // NEW: Render search suggestions dropdown
   const renderSearchSuggestions = () => {
     if (!showSuggestions || searchSuggestions.length === 0) return null;
 
     return (
       <div className="absolute top-full left-0 right-0 bg-white border border-gray-300 rounded-lg shadow-lg z-50 max-h-80 overflow-y-auto mt-1">
-        {suggestionsLoading ? (
-          <div className="p-4 text-center text-gray-500">
-            <svg className="animate-spin h-5 w-5 mx-auto mb-2" viewBox="0 0 24 24">
-              <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" fill="none" />
-              <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8v8z" />
-            </svg>
-            Searching...
-          </div>
-        ) : (
-          searchSuggestions.map((suggestion) => (
+        {searchSuggestions.map((suggestion) => {
+          const isLocal = suggestion.source === "local";
+          return (
             <div
               key={suggestion.id}
               className="p-3 border-b border-gray-100 hover:bg-cyan-50 cursor-pointer transition-colors duration-150"
@@ -706,31 +1281,114 @@ const RouteFinder = () => {
               }}
             >
               <div className="flex items-start gap-3">
-                <Search className="w-4 h-4 text-cyan-600 mt-1 flex-shrink-0" />
+                {isLocal ? (
+                  <MapPin className="w-4 h-4 text-orange-500 mt-1 flex-shrink-0" />
+                ) : (
+                  <Search className="w-4 h-4 text-cyan-600 mt-1 flex-shrink-0" />
+                )}
                 <div className="flex-1 min-w-0">
                   <p className="font-semibold text-gray-800 text-sm truncate">
                     {suggestion.name}
                   </p>
                   <p className="text-xs text-gray-600 mt-1 line-clamp-2">
-                    {suggestion.fullAddress}
+                    {isLocal ? formatJurisdiction(suggestion) : suggestion.fullAddress}
                   </p>
                   <div className="flex items-center gap-2 mt-1">
-                    <span className="text-xs text-gray-500">
-                      {suggestion.lat.toFixed(4)}, {suggestion.lng.toFixed(4)}
-                    </span>
-                    <span className="text-xs bg-gray-100 text-gray-600 px-2 py-1 rounded">
-                      {suggestion.type}
+                    {suggestion.lat !== null && (
+                      <span className="text-xs text-gray-500">
+                        {suggestion.lat.toFixed(4)}, {suggestion.lng.toFixed(4)}
+                      </span>
+                    )}
+                    <span className={`text-xs px-2 py-1 rounded ${isLocal ? "bg-orange-100 text-orange-700" : "bg-gray-100 text-gray-600"}`}>
+                      {getSuggestionBadge(suggestion)}
                     </span>
                   </div>
                 </div>
               </div>
             </div>
-          ))
+          );
+        })}
+        {suggestionsLoading && (
+          <div className="p-3 flex items-center justify-center gap-2 text-xs text-gray-500">
+            <svg className="animate-spin h-4 w-4" viewBox="0 0 24 24">
+              <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" fill="none" />
+              <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8v8z" />
+            </svg>
+            Searching more places...
+          </div>
         )}
       </div>
     );
   };
 
+  // Render the origin search box and the switch back to the device location
+  const renderOriginPicker = () => (
+    <div className="mb-6">
+      <form onSubmit={handleOriginSearch} className="flex flex-col md:flex-row gap-2">
+        <input
+          type="text"
+          value={originQuery}
+          onChange={(e) => {
+            setOriginQuery(e.target.value);
+            setOriginSearchError(null);
+          }}
+          placeholder="Starting somewhere else? Search a hotel, landmark or barangay"
+          className="flex-1 px-4 py-2 rounded-lg border-2 border-green-200 focus:border-green-500 focus:outline-none bg-green-50 text-gray-800 placeholder-gray-500 text-sm"
+        />
+        <button
+          type="submit"
+          disabled={originSearchLoading || !originQuery.trim()}
+          className="flex items-center justify-center gap-1 px-4 py-2 rounded-lg bg-green-600 text-white text-sm font-semibold hover:bg-green-700 disabled:bg-gray-400"
+        >
+          <Search className="w-4 h-4" />
+          {originSearchLoading ? "Searching..." : "Find origin"}
+        </button>
+        {location?.source === "manual" && (
+          <button
+            type="button"
+            onClick={handleUseDeviceLocation}
+            className="flex items-center justify-center gap-1 px-4 py-2 rounded-lg border border-green-600 text-green-700 text-sm font-semibold hover:bg-green-50"
+          >
+            <LocateFixed className="w-4 h-4" />
+            Use my location
+          </button>
+        )}
+      </form>
+
+      {originSearchError && (
+        <p className="text-sm text-red-600 mt-2">{originSearchError}</p>
+      )}
+
+      {renderSavedPlaces(handleSavedOriginSelect, "bg-green-50 border-green-200 text-green-800")}
+
+      {originResults.length > 0 && (
+        <ul className="mt-2 border border-gray-200 rounded-lg divide-y divide-gray-100 bg-white shadow-sm max-h-64 overflow-y-auto">
+          {originResults.map((result) => (
+            <li key={result.id}>
+              <button
+                type="button"
+                onClick={() => handleOriginSelect(result)}
+                className="w-full text-left p-3 hover:bg-green-50 transition-colors"
+              >
+                <p className="font-semibold text-gray-800 text-sm truncate">{result.name}</p>
+                <p className="text-xs text-gray-600 mt-1 truncate">
+                  {result.source === "local" ? formatJurisdiction(result) : result.fullAddress}
+                </p>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+
+  // How sure the address normalizer is that the barangay and municipality are right
+  const ADDRESS_CONFIDENCE_LABELS = {
+    high: "Address matched to the official barangay list",
+    medium: "Address partly matched to the official barangay list",
+    low: "Approximate address",
+  };
+
   // Render address display with complete address format
   const renderAddressDisplay = (address, details, isLoading, isWithinBoundary, type = "origin") => {
     const colors = {
@@ -746,7 +1404,7 @@ const RouteFinder = () => {
     const formatCompleteAddress = (details) => {
       if (!details.fullAddress) return address;
       
-      // Use the full address from Nominatim which typically has the complete format
+      // Built from the normalized address fields, falling back to the geocoder's display name
       return details.fullAddress;
     };
 
@@ -794,11 +1452,11 @@ const RouteFinder = () => {
               {completeAddress}
             </p>
 
-            {details.barangay && (
+            {(details.barangay || details.municipality) && (
               <p className="text-sm mt-1">
                 {isWithinBoundary ? (
                   <span className={`text-${withinColor}-700`}>
-                    Barangay {details.barangay}, {details.municipality || details.city || 'Unknown'}, {details.province || 'Bohol'}
+                    {[details.barangay && `Barangay ${details.barangay}`, details.municipality, details.province].filter(Boolean).join(", ")}
                   </span>
                 ) : (
                   <span className="text-red-700">
@@ -808,6 +1466,12 @@ const RouteFinder = () => {
                 )}
               </p>
             )}
+
+            {details.confidence !== undefined && (
+              <p className="text-xs text-gray-500 mt-1">
+                {ADDRESS_CONFIDENCE_LABELS[confidenceLevel(details.confidence)]} ({Math.round(details.confidence * 100)}%)
+              </p>
+            )}
           </>
         )}
       </div>
@@ -892,6 +1556,9 @@ const RouteFinder = () => {
             <div className="flex-1">
               <h4 className="font-bold text-red-800 text-lg mb-2">Location Access Required</h4>
               <p className="text-red-700">{locationError}</p>
+              <p className="text-red-700 text-sm mt-2">
+                You can still plan a trip: search for your starting point above, or click the map and choose <strong>Set as origin</strong>.
+              </p>
             </div>
           </div>
         </div>
@@ -919,6 +1586,18 @@ const RouteFinder = () => {
     );
   };
 
+  // Render how the jurisdiction was detected
+  const renderDetectionMethod = () => {
+    const labels = {
+      [DETECTION_METHODS.POLYGON]: "Detected from your coordinates using municipal boundaries",
+      [DETECTION_METHODS.ADDRESS]: "Detected from the reverse-geocoded address (near a municipal boundary)",
+      [DETECTION_METHODS.NONE]: "Jurisdiction could not be verified"
+    };
+    if (!jurisdictionMethod) return null;
+
+    return <p className="text-xs text-gray-500 mt-1">{labels[jurisdictionMethod]}</p>;
+  };
+
   // Render boundary status badge
   const renderBoundaryStatus = () => {
     if (boundaryCheckLoading) {
@@ -935,39 +1614,26 @@ const RouteFinder = () => {
       );
     }
 
-    if (locationType === 'panglao') {
+    if (hasTariff(locationType)) {
+      const jurisdictionInfo = getJurisdictionInfo(locationType);
+      const theme = getJurisdictionTheme(jurisdictionInfo);
       return (
-        <div className="bg-green-50 rounded-xl p-4 border-2 border-green-200">
+        <div className={`rounded-xl p-4 border-2 ${theme.status}`}>
           <div className="flex items-center gap-3">
-            <CheckCircle className="w-6 h-6 text-green-600" />
+            <CheckCircle className={`w-6 h-6 ${theme.icon}`} />
             <div>
-              <h4 className="font-bold text-green-800 text-lg">BiyaFare - Panglao Municipality</h4>
-              <p className="text-green-700 text-sm mt-1">
-                Official tariff fares apply for tricycles and motorcycles in Panglao, Bohol.
+              <h4 className={`font-bold text-lg ${theme.strong}`}>BiyaFare - {jurisdictionInfo.shortName}</h4>
+              <p className={`text-sm mt-1 ${theme.accent}`}>
+                {jurisdictionInfo.description}
               </p>
+              {renderDetectionMethod()}
             </div>
           </div>
         </div>
       );
     }
 
-    if (locationType === 'tagbilaran') {
-      return (
-        <div className="bg-blue-50 rounded-xl p-4 border-2 border-blue-200">
-          <div className="flex items-center gap-3">
-            <CheckCircle className="w-6 h-6 text-blue-600" />
-            <div>
-              <h4 className="font-bold text-blue-800 text-lg">BiyaFare - Tagbilaran City</h4>
-              <p className="text-blue-700 text-sm mt-1">
-                Official tariff fares apply for tricycles and motorcycles in Tagbilaran City, Bohol.
-              </p>
-            </div>
-          </div>
-        </div>
-      );
-    }
-
-    if (locationType === 'outside' && location) {
+    if (locationType === OUTSIDE_JURISDICTION && location) {
       return (
         <div className="bg-red-50 rounded-xl p-4 border-2 border-red-200">
           <div className="flex items-center gap-3">
@@ -975,8 +1641,9 @@ const RouteFinder = () => {
             <div>
               <h4 className="font-bold text-red-800 text-lg">❌ Outside Jurisdiction</h4>
               <p className="text-red-700 text-sm mt-1">
-                Official tariff fares do not apply. Your location is outside Panglao and Tagbilaran jurisdictions.
+                Official tariff fares do not apply. Your starting point is outside {getJurisdictions().map((j) => j.shortName).join(' and ')} jurisdictions.
               </p>
+              {renderDetectionMethod()}
             </div>
           </div>
         </div>
@@ -990,7 +1657,7 @@ const RouteFinder = () => {
   const renderClickedCoordinates = () => {
     if (!clickedCoords) return null;
 
-    const isClickedWithinJurisdiction = locationType !== 'outside';
+    const isClickedWithinJurisdiction = locationType !== OUTSIDE_JURISDICTION;
 
     return renderAddressDisplay(
       clickedAddress,
@@ -1001,122 +1668,1141 @@ const RouteFinder = () => {
     );
   };
 
+  // Render trip context inputs (time picks the fare schedule and night/holiday surcharges)
+  const renderTripContextInputs = (labelClassName) => (
+    <div className="space-y-2">
+      <div className="flex flex-wrap items-center gap-2">
+        <label htmlFor="trip-time" className={`text-xs font-semibold ${labelClassName}`}>
+          Trip Date &amp; Time
+        </label>
+        <input
+          id="trip-time"
+          type="datetime-local"
+          value={tripTime}
+          onChange={(e) => setTripTime(e.target.value)}
+          className="px-2 py-1 rounded-md border border-gray-300 text-sm text-gray-800"
+        />
+        {tripTime ? (
+          <button
+            type="button"
+            onClick={() => setTripTime("")}
+            className="text-xs text-gray-600 underline"
+          >
+            Use current time
+          </button>
+        ) : (
+          <span className="text-xs text-gray-500">Leaving now</span>
+        )}
+      </div>
+      <div className="flex flex-wrap items-center gap-4">
+        <label htmlFor="trip-bags" className={`flex items-center gap-2 text-xs font-semibold ${labelClassName}`}>
+          Bags
+          <input
+            id="trip-bags"
+            type="number"
+            min="0"
+            max="10"
+            value={bags}
+            onChange={(e) => setBags(Math.max(0, parseInt(e.target.value, 10) || 0))}
+            className="w-16 px-2 py-1 rounded-md border border-gray-300 text-sm text-gray-800"
+          />
+        </label>
+        <label className={`flex items-center gap-2 text-xs font-semibold ${labelClassName}`}>
+          <input
+            type="checkbox"
+            checked={specialBooking}
+            onChange={(e) => setSpecialBooking(e.target.checked)}
+          />
+          Special booking
+        </label>
+      </div>
+    </div>
+  );
+
+  // Render the trip meter: running legal fare during the ride and a summary afterwards
+  const renderTripMeter = () => {
+    const liveFare = meterTrack && getMeterFare(meterTrack, passengerType, { bags, specialBooking });
+    const liveDetour = routeMonitor && meterTrack && estimateDetourFare(routeMonitor, meterTrack, passengerType, { bags, specialBooking });
+    const summaryFare = meterSummary?.fare;
+    const summaryDetour = meterSummary?.detourFare;
+    const quoted = parseFloat(quotedFare);
+    const overcharge = summaryFare && Number.isFinite(quoted) ? quoted - summaryFare.totalFare : null;
+
+    return (
+      <div className="mt-4 rounded-lg border-2 border-emerald-200 bg-emerald-50 p-4">
+        <div className="flex items-center justify-between gap-3">
+          <h4 className="flex items-center gap-2 font-bold text-emerald-900">
+            <Gauge className="w-5 h-5" />
+            Trip Meter
+          </h4>
+          {meterActive ? (
+            <button
+              type="button"
+              onClick={stopMeter}
+              className="flex items-center gap-1 px-3 py-1 rounded-md bg-red-600 text-white text-sm font-semibold hover:bg-red-700"
+            >
+              <Square className="w-4 h-4" />
+              End Ride
+            </button>
+          ) : (
+            <button
+              type="button"
+              onClick={startMeter}
+              className="flex items-center gap-1 px-3 py-1 rounded-md bg-emerald-600 text-white text-sm font-semibold hover:bg-emerald-700"
+            >
+              <Play className="w-4 h-4" />
+              Start Meter
+            </button>
+          )}
+        </div>
+
+        {!meterActive && !meterSummary && (
+          <p className="text-xs text-emerald-800 mt-2">
+            Start the meter when the ride begins to track the distance and see the legal fare as you go.
+          </p>
+        )}
+
+        {!meterActive && (
+          route ? (
+            <div className="flex flex-wrap items-center gap-1 mt-2 text-xs text-emerald-900">
+              <label htmlFor="monitor-threshold">Alert me when the ride is more than</label>
+              <input
+                id="monitor-threshold"
+                type="number"
+                min="50"
+                step="50"
+                value={monitorSettings.thresholdMeters}
+                onChange={(e) => setMonitorSettings((settings) => ({ ...settings, thresholdMeters: Math.max(0, Number(e.target.value) || 0) }))}
+                className="w-16 px-1 py-0.5 rounded border border-emerald-300 text-gray-800"
+              />
+              <label htmlFor="monitor-sustain">m off the planned route for</label>
+              <input
+                id="monitor-sustain"
+                type="number"
+                min="0"
+                step="10"
+                value={monitorSettings.sustainSeconds}
+                onChange={(e) => setMonitorSettings((settings) => ({ ...settings, sustainSeconds: Math.max(0, Number(e.target.value) || 0) }))}
+                className="w-14 px-1 py-0.5 rounded border border-emerald-300 text-gray-800"
+              />
+              <span>seconds.</span>
+            </div>
+          ) : (
+            <p className="text-xs text-emerald-800 mt-2">Find a route before the ride to be alerted about detours.</p>
+          )
+        )}
+
+        {meterError && <p className="text-xs text-orange-700 mt-2">{meterError}</p>}
+
+        {meterTrack && (
+          <div className="grid grid-cols-2 gap-3 mt-3">
+            <div className="rounded-md bg-white border border-emerald-100 p-3">
+              <p className="text-xs font-semibold uppercase tracking-wider text-emerald-600">Travelled</p>
+              <p className="text-xl font-bold text-emerald-900">
+                {meterTrack.distanceKm.toFixed(2)} <span className="text-sm">km</span>
+              </p>
+              {meterTrack.lastFix && (
+                <p className="text-xs text-gray-500">GPS accuracy ±{Math.round(meterTrack.lastFix.accuracy)} m</p>
+              )}
+            </div>
+            <div className="rounded-md bg-gradient-to-br from-yellow-400 to-orange-400 border border-yellow-300 p-3">
+              <p className="text-xs font-semibold uppercase tracking-wider text-yellow-900">Legal Fare ({passengerType})</p>
+              <p className="text-2xl font-bold text-yellow-900">
+                {liveFare ? `₱${liveFare.totalFare.toFixed(2)}` : "—"}
+              </p>
+              {meterTrack.points.length > 0 && !liveFare && (
+                <p className="text-xs text-yellow-900">The ride started outside the tariff jurisdictions.</p>
+              )}
+            </div>
+          </div>
+        )}
+
+        {routeMonitor && (
+          <div
+            role={routeMonitor.alerting ? "alert" : undefined}
+            className={`mt-3 rounded-md border p-3 text-xs space-y-1 ${
+              routeMonitor.alerting ? "bg-red-50 border-red-300 text-red-800" : "bg-white border-emerald-100 text-emerald-800"
+            }`}
+          >
+            <p className="flex items-center gap-1 font-semibold">
+              {routeMonitor.alerting ? <AlertCircle className="w-4 h-4" /> : <CheckCircle className="w-4 h-4" />}
+              {routeMonitor.alerting
+                ? `Off route: ${Math.round(routeMonitor.distanceMeters)} m from the planned route`
+                : routeMonitor.distanceMeters === null
+                  ? "Waiting for GPS to check the route..."
+                  : "Following the planned route"}
+            </p>
+            {liveDetour && liveDetour.difference > 0 && (
+              <p>
+                Finishing from here, the legal fare would be ₱{liveDetour.actualFare.toFixed(2)} instead of ₱{liveDetour.plannedFare.toFixed(2)}
+                {" "}({formatFareDifference(liveDetour.difference)} for {(liveDetour.actualKm - liveDetour.plannedKm).toFixed(2)} km extra).
+              </p>
+            )}
+            {routeMonitor.deviations.length > 0 && (
+              <p>
+                {routeMonitor.deviations.length} detour{routeMonitor.deviations.length === 1 ? "" : "s"} logged during this ride.
+              </p>
+            )}
+          </div>
+        )}
+
+        {meterSummary && (
+          <div className="mt-3 rounded-md bg-white border border-emerald-200 p-3 text-sm space-y-1">
+            <h5 className="font-semibold text-emerald-900">Trip Summary</h5>
+            <div className="flex justify-between text-gray-700">
+              <span>Distance travelled:</span>
+              <span className="font-semibold">{meterSummary.distanceKm.toFixed(2)} km</span>
+            </div>
+            <div className="flex justify-between text-gray-700">
+              <span>Duration:</span>
+              <span className="font-semibold">{Math.round(meterSummary.durationMinutes)} min</span>
+            </div>
+            {summaryDetour && (
+              <div className="flex justify-between text-gray-700">
+                <span>Legal fare vs. planned route ({summaryDetour.plannedKm.toFixed(2)} km):</span>
+                <span className={`font-semibold ${summaryDetour.difference > 0 ? "text-red-700" : ""}`}>
+                  {formatFareDifference(summaryDetour.difference)}
+                </span>
+              </div>
+            )}
+            {meterSummary.deviations.length > 0 && (
+              <div className="rounded-md bg-red-50 border border-red-200 p-2 text-xs text-red-800">
+                <p className="font-semibold">Detours from the planned route</p>
+                <ul className="list-disc ml-4">
+                  {meterSummary.deviations.map((deviation) => (
+                    <li key={deviation.startedAt}>{describeDeviation(deviation)}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+            {summaryFare ? (
+              summaryFare.lines.map((line, index) => (
+                <div key={`${line.type}-${index}`} className="flex justify-between text-xs text-gray-600">
+                  <span>{line.label}</span>
+                  <span>{line.amount < 0 ? "-" : ""}₱{Math.abs(line.amount).toFixed(2)}</span>
+                </div>
+              ))
+            ) : (
+              <p className="text-xs text-gray-500">
+                No legal fare: the ride was too short to track or started outside the tariff jurisdictions.
+              </p>
+            )}
+            {summaryFare && (
+              <>
+                <div className="border-t-2 border-emerald-400 pt-1 flex justify-between font-bold text-emerald-900">
+                  <span>Legal Fare ({summaryFare.passengerType}):</span>
+                  <span>₱{summaryFare.totalFare.toFixed(2)}</span>
+                </div>
+                <div className="flex flex-wrap items-center gap-2 pt-2">
+                  <label htmlFor="quoted-fare" className="text-xs font-semibold text-emerald-900">
+                    Driver asked for ₱
+                  </label>
+                  <input
+                    id="quoted-fare"
+                    type="number"
+                    min="0"
+                    step="0.25"
+                    value={quotedFare}
+                    onChange={(e) => setQuotedFare(e.target.value)}
+                    className="w-24 px-2 py-1 rounded-md border border-gray-300 text-sm text-gray-800"
+                  />
+                </div>
+                {overcharge !== null && (
+                  <p className={`text-xs font-semibold ${overcharge > 0 ? "text-red-700" : "text-emerald-700"}`}>
+                    {overcharge > 0
+                      ? `The driver asked ₱${overcharge.toFixed(2)} more than the legal fare.`
+                      : "The driver's fare is within the legal fare."}
+                  </p>
+                )}
+              </>
+            )}
+            {meterSummary.rejectedCount > 0 && (
+              <p className="text-xs text-gray-500">
+                {meterSummary.rejectedCount} imprecise GPS reading{meterSummary.rejectedCount === 1 ? " was" : "s were"} ignored.
+              </p>
+            )}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  // Render the ordered list of intermediate stops with reorder/remove controls
+  const renderWaypointList = () => {
+    if (waypoints.length === 0) return null;
+
+    return (
+      <div className="mb-6 rounded-xl border-2 border-orange-200 bg-orange-50 p-4">
+        <h5 className="font-semibold text-sm text-orange-900 mb-2">🛑 Stops ({waypoints.length})</h5>
+        <ol className="space-y-2">
+          {waypoints.map((stop, index) => (
+            <li key={stop.id} className="flex items-center gap-2 bg-white rounded-md border border-orange-100 px-3 py-2">
+              <span className="text-xs font-bold text-orange-700 w-5">{index + 1}.</span>
+              <span className="flex-1 text-sm text-gray-800 truncate">{stop.name}</span>
+              <button
+                type="button"
+                onClick={() => moveWaypoint(index, -1)}
+                disabled={index === 0}
+                className="p-1 rounded text-gray-600 hover:bg-gray-100 disabled:opacity-30"
+                aria-label="Move stop earlier"
+              >
+                <ArrowUp className="w-4 h-4" />
+              </button>
+              <button
+                type="button"
+                onClick={() => moveWaypoint(index, 1)}
+                disabled={index === waypoints.length - 1}
+                className="p-1 rounded text-gray-600 hover:bg-gray-100 disabled:opacity-30"
+                aria-label="Move stop later"
+              >
+                <ArrowDown className="w-4 h-4" />
+              </button>
+              <button
+                type="button"
+                onClick={() => removeWaypoint(index)}
+                className="p-1 rounded text-red-600 hover:bg-red-50"
+                aria-label="Remove stop"
+              >
+                <X className="w-4 h-4" />
+              </button>
+            </li>
+          ))}
+        </ol>
+        {!destinationCoords && (
+          <p className="text-xs text-orange-700 mt-2">Choose a final destination to route through these stops.</p>
+        )}
+      </div>
+    );
+  };
+
+  // Vehicle to show the route for; the fare is always quoted on the tricycle route
+  const renderProfileSelector = () => (
+    <div className="mb-6">
+      <p className="text-xs font-semibold text-cyan-900 mb-2">Travelling by</p>
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+        {ROUTING_PROFILES.map((profile) => (
+          <button
+            key={profile.id}
+            type="button"
+            onClick={() => handleRoutingProfileChange(profile.id)}
+            className={`py-1 px-3 rounded-md font-semibold transition-all text-sm ${
+              routingProfile === profile.id
+                ? "bg-cyan-600 text-white shadow-md"
+                : "bg-white text-cyan-700 border-2 border-cyan-200 hover:border-cyan-400"
+            }`}
+          >
+            <span className="mr-1">{profile.icon}</span>
+            {profile.label}
+          </button>
+        ))}
+      </div>
+      {routingProfile !== FARE_ROUTING_PROFILE && (
+        <p className="text-xs text-gray-600 mt-2">
+          The {getRoutingProfile(routingProfile).label.toLowerCase()} route is drawn as a grey dotted line. Fares are
+          still calculated on the {getFareRouteLabel(route)}.
+        </p>
+      )}
+    </div>
+  );
+
+  // Save the current destination under the name shown in the search box
+  const handleSaveDestination = () => {
+    try {
+      setSavedPlaces(savePlace({ name: destination, lat: destinationCoords[0], lng: destinationCoords[1] }));
+      setHistoryError(null);
+    } catch (error) {
+      setHistoryError(error.message);
+    }
+  };
+
+  const isDestinationSaved = () =>
+    Boolean(destinationCoords) && savedPlaces.some((place) =>
+      place.lat.toFixed(4) === destinationCoords[0].toFixed(4) && place.lng.toFixed(4) === destinationCoords[1].toFixed(4)
+    );
+
+  // Start from a saved place
+  const handleSavedOriginSelect = (place) => {
+    setOriginResults([]);
+    setOriginQuery(place.name);
+    setOriginSearchError(null);
+    applyOrigin(place.lat, place.lng, { source: "manual", name: place.name });
+  };
+
+  // Set up a saved or shared trip ({ origin, destination, stops, passengerType, tripTime }) and
+  // route it from its origin. Returns the destination and stops for routing later when the
+  // trip has no origin.
+  const loadTrip = (trip) => {
+    const destinationPoint = [trip.destination.lat, trip.destination.lng];
+    const stops = trip.stops.map((stop, index) => ({ ...stop, id: `${destinationPoint.join(",")},${index}` }));
+    setWaypoints(stops);
+    if (trip.passengerType) setPassengerType(trip.passengerType);
+    if (trip.tripTime) setTripTime(trip.tripTime);
+    setDestination(trip.destination.name || `Shared location (${destinationPoint[0].toFixed(4)}, ${destinationPoint[1].toFixed(4)})`);
+    setDestinationCoords(destinationPoint);
+    setDestinationDetails({});
+    if (trip.origin) {
+      setOriginQuery(trip.origin.name || "");
+      applyOrigin(trip.origin.lat, trip.origin.lng, { source: "manual", name: trip.origin.name, destinationPoint, stops });
+    }
+    return { destinationPoint, stops };
+  };
+
+  // Route the same trip again: same origin, stops, destination and passenger type, priced on
+  // today's tariff
+  const rerunTrip = (trip) => {
+    clearClickedPoint();
+    setShowSuggestions(false);
+    setShowRecentTrips(false);
+    loadTrip(trip);
+  };
+
+  // Send a link that opens this trip with the same passenger type and trip time
+  const handleShareTrip = async () => {
+    const trip = getCurrentTrip();
+    if (!trip) return;
+
+    const { fare } = buildTripRecord({ ...trip, route, passengerType, fareOptions: { date: tripTime || undefined, bags, specialBooking } });
+    const text = fare
+      ? `Tricycle fare from ${trip.origin.name} to ${trip.destination.name}: ₱${fare.totalFare.toFixed(2)} (${fare.passengerType}, ${route.distance.toFixed(2)} km)`
+      : `Route from ${trip.origin.name} to ${trip.destination.name} (${route.distance.toFixed(2)} km)`;
+    try {
+      const result = await shareTripLink({
+        url: buildShareUrl(buildTripSearchParams({ ...trip, passengerType, tripTime })),
+        title: "Tricycle route and fare",
+        text,
+      });
+      setShareMessage(result === "copied" ? { type: "success", text: "Link copied. Paste it into a message to share this route and fare." } : null);
+    } catch (error) {
+      setShareMessage({ type: "error", text: error.message || "Unable to share this route." });
+    }
+  };
+
+  const renderShareTrip = () => (
+    <div className="mt-4 flex flex-wrap items-center gap-3">
+      <button
+        type="button"
+        onClick={handleShareTrip}
+        className="flex items-center gap-1 px-4 py-2 rounded-lg border-2 border-cyan-500 text-cyan-700 text-sm font-semibold hover:bg-cyan-50"
+      >
+        <Share2 className="w-4 h-4" />
+        Share route & fare
+      </button>
+      {shareMessage && (
+        <p className={`text-xs ${shareMessage.type === "error" ? "text-red-600" : "text-green-700"}`}>{shareMessage.text}</p>
+      )}
+    </div>
+  );
+
+  // Favorite places as one-tap destinations (or starting points in the origin picker)
+  const renderSavedPlaces = (onSelect, theme) => {
+    if (savedPlaces.length === 0) return null;
+
+    return (
+      <div className="flex flex-wrap gap-2 mt-3">
+        {savedPlaces.map((place) => (
+          <span key={place.id} className={`flex items-center rounded-full border text-sm ${theme}`}>
+            <button
+              type="button"
+              onClick={() => onSelect(place)}
+              className="flex items-center gap-1 pl-3 pr-1 py-1 font-medium max-w-[14rem]"
+              title={`${place.lat.toFixed(5)}, ${place.lng.toFixed(5)}`}
+            >
+              <Star className="w-3 h-3 flex-shrink-0 fill-current" />
+              <span className="truncate">{place.name}</span>
+            </button>
+            <button
+              type="button"
+              onClick={() => setSavedPlaces(removeSavedPlace(place.id))}
+              className="pr-2 pl-1 py-1 opacity-60 hover:opacity-100"
+              aria-label={`Remove ${place.name} from saved places`}
+            >
+              <X className="w-3 h-3" />
+            </button>
+          </span>
+        ))}
+      </div>
+    );
+  };
+
+  // Recent trips with the fare and tariff they were quoted under; tapping one routes it again
+  const renderRecentTrips = () => {
+    if (recentTrips.length === 0) return null;
+    const expanded = showRecentTrips || !route;
+
+    return (
+      <div className="mb-6 rounded-xl border-2 border-cyan-100 bg-white">
+        <div className="flex items-center justify-between gap-2 px-4 py-3">
+          <button
+            type="button"
+            onClick={() => setShowRecentTrips((shown) => !shown)}
+            disabled={!route}
+            className="flex items-center gap-2 font-semibold text-cyan-900 text-sm"
+            aria-expanded={expanded}
+          >
+            <History className="w-5 h-5 text-cyan-600" />
+            Recent trips ({recentTrips.length})
+            {route && (expanded ? <ChevronUp className="w-4 h-4 text-cyan-600" /> : <ChevronDown className="w-4 h-4 text-cyan-600" />)}
+          </button>
+          {expanded && (
+            <button
+              type="button"
+              onClick={() => setRecentTrips(clearRecentTrips())}
+              className="text-xs text-gray-500 hover:text-red-600"
+            >
+              Clear history
+            </button>
+          )}
+        </div>
+        {expanded && (
+          <ul className="border-t border-cyan-100 divide-y divide-cyan-50 max-h-72 overflow-y-auto">
+            {recentTrips.map((trip) => (
+              <li key={trip.id} className="flex items-start gap-2 px-4 py-2 hover:bg-cyan-50">
+                <button type="button" onClick={() => rerunTrip(trip)} className="flex-1 min-w-0 text-left">
+                  <p className="text-sm font-medium text-gray-800 truncate">
+                    {trip.origin.name} → {trip.destination.name}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {new Date(trip.createdAt).toLocaleDateString()} · {trip.route.distance.toFixed(2)} km
+                    {trip.stops.length > 0 && ` · ${trip.stops.length} stop${trip.stops.length === 1 ? "" : "s"}`}
+                    {trip.fare
+                      ? ` · ₱${trip.fare.totalFare.toFixed(2)} ${trip.fare.passengerType} (tariff ${trip.fare.tariffVersion})`
+                      : " · no tariff fare"}
+                  </p>
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setRecentTrips(removeRecentTrip(trip.id))}
+                  className="p-1 rounded text-gray-400 hover:text-red-600"
+                  aria-label="Remove trip from history"
+                >
+                  <X className="w-4 h-4" />
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    );
+  };
+
+  // Collapsible turn-by-turn list for the fare route; clicking a step highlights it on the map
+  const renderDirections = () => {
+    if (!route.steps?.length) return null;
+
+    return (
+      <div className="mt-6 rounded-xl border-2 border-cyan-100 bg-white">
+        <button
+          type="button"
+          onClick={() => setShowDirections((shown) => !shown)}
+          className="w-full flex items-center justify-between gap-2 px-4 py-3 text-left"
+          aria-expanded={showDirections}
+        >
+          <span className="flex items-center gap-2 font-semibold text-cyan-900">
+            <ListOrdered className="w-5 h-5 text-cyan-600" />
+            Directions ({route.steps.length} steps)
+          </span>
+          {showDirections ? <ChevronUp className="w-5 h-5 text-cyan-600" /> : <ChevronDown className="w-5 h-5 text-cyan-600" />}
+        </button>
+        {showDirections && (
+          <ol className="border-t border-cyan-100 divide-y divide-cyan-50 max-h-96 overflow-y-auto">
+            {route.steps.map((step, index) => {
+              const StepIcon = getStepIcon(step);
+              return (
+                <li key={index}>
+                  <button
+                    type="button"
+                    onClick={() => setActiveStepIndex(index === activeStepIndex ? null : index)}
+                    className={`w-full flex items-start gap-3 px-4 py-2 text-left transition-colors ${
+                      index === activeStepIndex ? "bg-amber-50" : "hover:bg-cyan-50"
+                    }`}
+                  >
+                    <StepIcon className={`w-5 h-5 mt-0.5 flex-shrink-0 ${index === activeStepIndex ? "text-amber-600" : "text-cyan-600"}`} />
+                    <span className="flex-1 text-sm text-gray-800">{step.instruction}</span>
+                    {step.distance > 0 && (
+                      <span className="text-xs text-gray-500 whitespace-nowrap mt-0.5">{formatStepDistance(step.distance)}</span>
+                    )}
+                  </button>
+                </li>
+              );
+            })}
+          </ol>
+        )}
+      </div>
+    );
+  };
+
+  // Render the suggested route and its alternatives with a fare for each so the user can pick the one taken
+  const renderRouteOptions = (fareOptions, theme) => {
+    const fares = routeOptions.map((option) =>
+      calculateFare(option.distance, passengerType, locationType, {
+        ...fareOptions,
+        routeCoordinates: option.coordinates
+      })
+    );
+
+    return (
+      <div className={`rounded-md p-3 border mb-4 ${theme.box}`}>
+        <h5 className={`font-semibold mb-1 text-sm ${theme.heading}`}>Route Options</h5>
+        <p className="text-xs text-gray-500 mb-2">
+          Pick the route the driver took to see the fare for that road.
+        </p>
+        <div className="space-y-2">
+          {routeOptions.map((option, index) => (
+            <button
+              key={index}
+              type="button"
+              onClick={() => selectRouteOption(index)}
+              className={`w-full flex items-center justify-between rounded-md px-3 py-2 text-sm transition-all ${
+                index === selectedRouteIndex ? theme.active : theme.inactive
+              }`}
+            >
+              <span className="flex items-center gap-2">
+                <span
+                  className="inline-block w-4 h-1 rounded"
+                  style={{ backgroundColor: getRouteColor(index) }}
+                />
+                <span className="font-semibold">{index === 0 ? "Suggested route" : `Alternative ${index}`}</span>
+                <span className="text-xs">
+                  {option.distance.toFixed(2)} km · {Math.round(option.duration)} min
+                </span>
+              </span>
+              <span className="font-bold">
+                ₱{fares[index].toFixed(2)}
+                {index > 0 && fares[index] !== fares[0] && (
+                  <span className="text-xs font-normal ml-1">
+                    ({fares[index] > fares[0] ? "+" : "-"}₱{Math.abs(fares[index] - fares[0]).toFixed(2)})
+                  </span>
+                )}
+              </span>
+            </button>
+          ))}
+        </div>
+      </div>
+    );
+  };
+
+  // Export a receipt of the current trip as a printable page or a PNG file
+  const exportReceipt = async (format, fareBreakdown, legFares) => {
+    setReceiptLoading(true);
+    setReceiptError(null);
+
+    try {
+      const receipt = buildReceipt({
+        origin: {
+          name: originDetails.fullAddress || originName || getOriginLabel(location),
+          lat: location.latitude,
+          lng: location.longitude
+        },
+        destination: {
+          name: destinationDetails.fullAddress || destination,
+          lat: destinationCoords[0],
+          lng: destinationCoords[1]
+        },
+        stops: waypoints,
+        route,
+        passengerType,
+        fareBreakdown,
+        legFares
+      });
+      if (format === "print") {
+        await openPrintableReceipt(receipt);
+      } else {
+        await downloadReceiptImage(receipt);
+      }
+    } catch (error) {
+      setReceiptError(error.message || "Unable to create the receipt. Please try again.");
+    } finally {
+      setReceiptLoading(false);
+    }
+  };
+
+  // Build an overcharge complaint for the current trip, queue it and try to submit it
+  const handleSubmitReport = async (e, jurisdictionInfo, fareBreakdown, legalFare) => {
+    e.preventDefault();
+    setReportMessage(null);
+
+    let complaint;
+    try {
+      complaint = buildComplaint({
+        jurisdictionInfo,
+        origin: {
+          name: originDetails.fullAddress || originName || getOriginLabel(location),
+          lat: location.latitude,
+          lng: location.longitude
+        },
+        destination: {
+          name: destinationDetails.fullAddress || destination,
+          lat: destinationCoords[0],
+          lng: destinationCoords[1]
+        },
+        stops: waypoints,
+        route,
+        fareBreakdown,
+        legalFare,
+        tripTime: tripTime || undefined,
+        ...reportForm
+      });
+    } catch (error) {
+      setReportMessage({ type: "error", text: error.message });
+      return;
+    }
+
+    const { queue: savedQueue, saved } = queueComplaint(complaint);
+    setReportQueue(savedQueue);
+    setReportForm({ chargedAmount: "", bodyNumber: "", plateNumber: "", notes: "" });
+    setShowReportForm(false);
+
+    // Storage is full or turned off: the report only lives on this page until it is sent or copied
+    if (!saved) {
+      if (isComplaintEndpointConfigured()) {
+        try {
+          await submitComplaint(complaint);
+          setReportQueue((current) => current.filter((queued) => queued.id !== complaint.id));
+          setReportMessage({ type: "success", text: `Report ${complaint.id} was submitted to ${jurisdictionInfo.name}.` });
+          return;
+        } catch (error) {
+          console.error('Complaint submission error:', error);
+        }
+      }
+      setReportMessage({
+        type: "error",
+        text: `Report ${complaint.id} couldn't be saved on this device because its storage is full or turned off. Copy its summary below before leaving this page.`
+      });
+      return;
+    }
+
+    if (!isComplaintEndpointConfigured()) {
+      setReportMessage({
+        type: "success",
+        text: `Report ${complaint.id} saved on this device. Copy its summary below to send it to ${jurisdictionInfo.name}.`
+      });
+      return;
+    }
+
+    const { submitted, queue } = await flushComplaintQueue();
+    setReportQueue(queue);
+    setReportMessage(
+      submitted.includes(complaint.id)
+        ? { type: "success", text: `Report ${complaint.id} was submitted to ${jurisdictionInfo.name}.` }
+        : { type: "error", text: `Report ${complaint.id} is saved and will be submitted when you're back online.` }
+    );
+  };
+
+  // Retry submitting every queued report
+  const handleFlushReports = async () => {
+    const { submitted, queue } = await flushComplaintQueue();
+    setReportQueue(queue);
+    setReportMessage(
+      queue.length === 0
+        ? { type: "success", text: `${submitted.length} report${submitted.length === 1 ? "" : "s"} submitted.` }
+        : { type: "error", text: `${queue.length} report${queue.length === 1 ? " is" : "s are"} still waiting to be submitted.` }
+    );
+  };
+
+  // Render the overcharge report form and the reports queued on this device
+  const renderReportForm = (jurisdictionInfo, fareBreakdown, legalFare, theme) => (
+    <div className={`rounded-md p-3 border mt-3 ${theme.box}`}>
+      <div className="flex items-center justify-between gap-2">
+        <h5 className={`font-semibold text-sm ${theme.heading}`}>
+          <Flag className="inline w-4 h-4 mr-1" />
+          Charged More Than the Legal Fare?
+        </h5>
+        {!showReportForm && (
+          <button
+            type="button"
+            onClick={() => setShowReportForm(true)}
+            className="px-3 py-1 rounded-md bg-red-600 text-white text-xs font-semibold hover:bg-red-700"
+          >
+            Report Overcharge
+          </button>
+        )}
+      </div>
+
+      {showReportForm && (
+        <form
+          onSubmit={(e) => handleSubmitReport(e, jurisdictionInfo, fareBreakdown, legalFare)}
+          className="mt-3 space-y-2"
+        >
+          <p className="text-xs text-gray-600">
+            The report is addressed to {jurisdictionInfo.name} and includes this route, the legal fare of ₱{legalFare.toFixed(2)} and the trip time.
+          </p>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-2">
+            <input
+              type="number"
+              min="0"
+              step="0.25"
+              placeholder="Amount charged (₱)"
+              value={reportForm.chargedAmount}
+              onChange={(e) => setReportForm({ ...reportForm, chargedAmount: e.target.value })}
+              className="px-2 py-1 rounded-md border border-gray-300 text-sm text-gray-800"
+            />
+            <input
+              type="text"
+              placeholder="Body number"
+              value={reportForm.bodyNumber}
+              onChange={(e) => setReportForm({ ...reportForm, bodyNumber: e.target.value })}
+              className="px-2 py-1 rounded-md border border-gray-300 text-sm text-gray-800"
+            />
+            <input
+              type="text"
+              placeholder="Plate number"
+              value={reportForm.plateNumber}
+              onChange={(e) => setReportForm({ ...reportForm, plateNumber: e.target.value })}
+              className="px-2 py-1 rounded-md border border-gray-300 text-sm text-gray-800"
+            />
+          </div>
+          <textarea
+            rows={2}
+            placeholder="Notes (optional)"
+            value={reportForm.notes}
+            onChange={(e) => setReportForm({ ...reportForm, notes: e.target.value })}
+            className="w-full px-2 py-1 rounded-md border border-gray-300 text-sm text-gray-800"
+          />
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              className="flex items-center gap-1 px-3 py-1 rounded-md bg-red-600 text-white text-sm font-semibold hover:bg-red-700"
+            >
+              <Send className="w-4 h-4" />
+              File Report
+            </button>
+            <button
+              type="button"
+              onClick={() => setShowReportForm(false)}
+              className="px-3 py-1 rounded-md bg-gray-100 text-gray-700 text-sm font-semibold hover:bg-gray-200"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {reportMessage && (
+        <p className={`text-xs mt-2 ${reportMessage.type === "error" ? "text-red-700" : "text-green-700"}`}>
+          {reportMessage.text}
+        </p>
+      )}
+
+      {reportQueue.length > 0 && (
+        <div className="mt-3 space-y-2">
+          <div className="flex items-center justify-between">
+            <p className="text-xs font-semibold text-gray-700">
+              {reportQueue.length} report{reportQueue.length === 1 ? "" : "s"} waiting to be submitted
+            </p>
+            {isComplaintEndpointConfigured() && (
+              <button
+                type="button"
+                onClick={handleFlushReports}
+                className="text-xs font-semibold text-blue-700 hover:underline"
+              >
+                Submit now
+              </button>
+            )}
+          </div>
+          {reportQueue.map((complaint) => (
+            <details key={complaint.id} className="rounded-md border border-gray-200 p-2">
+              <summary className="text-xs text-gray-700 cursor-pointer">
+                {complaint.id} · {complaint.addressedTo.name} · overcharge ₱{complaint.fare.overcharge.toFixed(2)}
+              </summary>
+              <pre className="mt-2 whitespace-pre-wrap text-xs text-gray-700">{complaint.summary}</pre>
+              <div className="flex gap-3 mt-2">
+                <button
+                  type="button"
+                  onClick={() => navigator.clipboard?.writeText(complaint.summary)}
+                  className="flex items-center gap-1 text-xs font-semibold text-blue-700 hover:underline"
+                >
+                  <Copy className="w-3 h-3" />
+                  Copy summary
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setReportQueue(removeQueuedComplaint(complaint.id))}
+                  className="flex items-center gap-1 text-xs font-semibold text-red-700 hover:underline"
+                >
+                  <Trash2 className="w-3 h-3" />
+                  Discard
+                </button>
+              </div>
+            </details>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+
+  // Price each leg of a multi-stop route using the jurisdiction where the leg starts
+  const getLegFares = (fareOptions) => {
+    const points = [
+      { lat: location.latitude, lng: location.longitude, name: originName || getOriginLabel(location) },
+      ...waypoints,
+      { lat: destinationCoords[0], lng: destinationCoords[1], name: destinationDetails.fullAddress || destination }
+    ];
+    const lastIndex = route.legs.length - 1;
+
+    return calculateLegFares(
+      route.legs.map((leg, index) => ({
+        ...leg,
+        from: points[index],
+        to: points[index + 1],
+        locationType: index === 0
+          ? locationType
+          : determineLocationType(points[index].lat, points[index].lng).locationType,
+        destinationType: index === lastIndex
+          ? destinationLocationType
+          : determineLocationType(points[index + 1].lat, points[index + 1].lng).locationType
+      })),
+      passengerType,
+      fareOptions
+    );
+  };
+
+  // Render per-leg fares and the trip total for routes with stops
+  const renderLegFares = (legFares, theme) => (
+    <div className={`rounded-md p-3 border ${theme.box}`}>
+      <h5 className={`font-semibold mb-2 text-sm ${theme.heading}`}>Fare per Leg (Per Person)</h5>
+      <div className="space-y-3 text-sm">
+        {legFares.legs.map((leg) => (
+          <div key={leg.index} className="border-b border-gray-200 pb-2">
+            <div className="flex justify-between font-semibold text-gray-900">
+              <span className="truncate mr-2">
+                Leg {leg.index + 1}: {leg.from.name} → {leg.to.name}
+              </span>
+              <span>{leg.breakdown ? `₱${leg.breakdown.totalFare.toFixed(2)}` : "N/A"}</span>
+            </div>
+            <p className="text-xs text-gray-500">
+              {leg.distance.toFixed(2)} km · {Math.round(leg.duration)} min
+              {!leg.breakdown && " · starts outside the tariff jurisdictions"}
+            </p>
+            {leg.breakdown && leg.breakdown.lines.map((line, index) => (
+              <div key={`${line.type}-${index}`} className="flex justify-between text-xs text-gray-600">
+                <span>{line.label}</span>
+                <span>{line.amount < 0 ? "-" : ""}₱{Math.abs(line.amount).toFixed(2)}</span>
+              </div>
+            ))}
+          </div>
+        ))}
+        <div className={`border-t-2 pt-1 flex justify-between font-bold text-sm ${theme.total}`}>
+          <span>Trip Total ({legFares.legs.length} legs):</span>
+          <span>₱{legFares.totalFare.toFixed(2)}</span>
+        </div>
+        {!legFares.complete && (
+          <p className="text-xs text-orange-700">
+            Legs starting outside the tariff jurisdictions are not included in the total.
+          </p>
+        )}
+      </div>
+    </div>
+  );
+
+  // Update the number of riders of one passenger class in the group editor
+  const changeGroupCount = (passengerClassId, delta) => {
+    setGroupCounts((prev) => ({
+      ...prev,
+      [passengerClassId]: Math.max(0, (prev[passengerClassId] || 0) + delta)
+    }));
+  };
+
+  // Render the group fare editor and totals for mixed passenger types
+  const renderGroupFare = (jurisdictionInfo, theme, fareOptions) => {
+    const groupFare = calculateGroupFare(route.distance, groupCounts, locationType, fareOptions);
+
+    return (
+      <div className={`rounded-md p-3 border mt-3 ${theme.box}`}>
+        <h5 className={`font-semibold mb-2 text-sm ${theme.heading}`}>
+          <Users className="inline w-4 h-4 mr-1" />
+          Group Fare
+          {groupFare.capacity && (
+            <span className="text-xs font-normal text-gray-500 ml-2">
+              Up to {groupFare.capacity} passengers per tricycle
+            </span>
+          )}
+        </h5>
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-2 mb-3">
+          {jurisdictionInfo.passengerClassOptions.map((option) => (
+            <div key={option.id} className="flex items-center justify-between rounded-md border border-gray-200 px-2 py-1">
+              <span className="text-xs font-semibold text-gray-700">{option.label}</span>
+              <div className="flex items-center gap-1">
+                <button
+                  type="button"
+                  onClick={() => changeGroupCount(option.id, -1)}
+                  disabled={!groupCounts[option.id]}
+                  className="w-6 h-6 rounded bg-gray-100 text-gray-700 font-bold disabled:opacity-40"
+                  aria-label={`Remove one ${option.label} passenger`}
+                >
+                  −
+                </button>
+                <span className="w-5 text-center text-sm font-semibold">{groupCounts[option.id] || 0}</span>
+                <button
+                  type="button"
+                  onClick={() => changeGroupCount(option.id, 1)}
+                  className="w-6 h-6 rounded bg-gray-100 text-gray-700 font-bold"
+                  aria-label={`Add one ${option.label} passenger`}
+                >
+                  +
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {groupFare.passengerCount === 0 ? (
+          <p className="text-xs text-gray-500">Add passengers to get the total fare for your group.</p>
+        ) : (
+          <div className="space-y-1 text-sm">
+            {groupFare.passengers.map((group) => (
+              <div key={group.passengerType} className="flex justify-between text-gray-700">
+                <span>{group.count} × {group.label} @ ₱{group.farePerPerson.toFixed(2)}:</span>
+                <span className="font-semibold">₱{group.subtotal.toFixed(2)}</span>
+              </div>
+            ))}
+            {groupFare.tripCharges.map((line) => (
+              <div key={line.id} className="flex justify-between text-gray-700">
+                <span>{line.label}:</span>
+                <span className="font-semibold">₱{line.amount.toFixed(2)}</span>
+              </div>
+            ))}
+            <div className={`border-t-2 pt-1 flex justify-between font-bold text-sm ${theme.total}`}>
+              <span>Group Total ({groupFare.passengerCount} passengers):</span>
+              <span>₱{groupFare.totalFare.toFixed(2)}</span>
+            </div>
+            {groupFare.exceedsCapacity && (
+              <p className="text-xs font-semibold text-orange-700">
+                ⚠️ Your group exceeds the {groupFare.capacity}-passenger limit and needs {groupFare.vehiclesNeeded} tricycles.
+              </p>
+            )}
+            {groupFare.specialTrip && (
+              <div className="flex justify-between text-gray-700 pt-1 border-t border-gray-200">
+                <span>
+                  {groupFare.specialTrip.label}
+                  {groupFare.specialTrip.vehicles > 1 && ` × ${groupFare.specialTrip.vehicles}`}:
+                  {groupFare.cheaperOption === "specialTrip" && (
+                    <span className="ml-1 text-xs font-semibold text-green-700">(cheaper)</span>
+                  )}
+                </span>
+                <span className="font-semibold">₱{groupFare.specialTrip.totalFare.toFixed(2)}</span>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    );
+  };
+
   // Render fare calculation section only when within jurisdiction
   const renderFareCalculation = () => {
-    if (locationType === 'outside') {
+    if (!hasTariff(locationType)) {
       return (
         <div className="bg-gray-50 rounded-xl p-6 border-2 border-gray-300">
           <div className="text-center py-8">
             <AlertCircle className="w-12 h-12 text-gray-400 mx-auto mb-4" />
             <h4 className="font-bold text-gray-700 text-lg mb-2">Fare Calculation Not Available</h4>
             <p className="text-gray-600 text-sm">
-              Official tariff fares only apply to trips originating within Panglao Municipality or Tagbilaran City.
+              Official tariff fares only apply to trips originating within {getJurisdictions().map((j) => j.shortName).join(' or ')}.
               <br />
-              Your current location is outside the jurisdiction.
+              Your starting point is outside the jurisdiction.
             </p>
           </div>
         </div>
       );
     }
 
-    const jurisdictionInfo = getJurisdictionInfo(locationType);
-    const fareBreakdown = getFareBreakdown(route.distance, passengerType, locationType);
+    const fareOptions = {
+      date: tripTime || undefined,
+      bags,
+      specialBooking,
+      destinationType: destinationLocationType,
+      routeCoordinates: route.coordinates
+    };
+    let jurisdictionInfo;
+    let fareBreakdown;
+    let legFares = null;
+    try {
+      jurisdictionInfo = getJurisdictionInfo(locationType, fareOptions.date);
+      fareBreakdown = getFareBreakdown(route.distance, passengerType, locationType, fareOptions);
+      if (route.legs?.length > 1) {
+        legFares = getLegFares(fareOptions);
+      }
+    } catch (error) {
+      // No fare schedule covers the chosen trip date
+      return (
+        <div className="bg-gray-50 rounded-xl p-4 border-2 border-gray-300">
+          {renderTripContextInputs("text-gray-700")}
+          <div className="flex items-start gap-3 mt-3">
+            <AlertCircle className="w-5 h-5 text-gray-500 mt-0.5" />
+            <p className="text-gray-700 text-sm">{error.message}</p>
+          </div>
+        </div>
+      );
+    }
+    const theme = getJurisdictionTheme(jurisdictionInfo);
+    const regularRates = jurisdictionInfo.fareStructure.regular;
+    const upcoming = jurisdictionInfo.upcomingSchedule;
 
     return (
-      <div className={`rounded-lg p-4 border-2 ${
-        locationType === 'tagbilaran' 
-          ? 'bg-gradient-to-r from-blue-50 to-indigo-50 border-blue-200' 
-          : 'bg-gradient-to-r from-green-50 to-emerald-50 border-green-200'
-      }`}>
-        <h4 className={`font-bold text-base mb-4 ${
-          locationType === 'tagbilaran' ? 'text-blue-900' : 'text-green-900'
-        }`}>
+      <div className={`rounded-lg p-4 border-2 ${theme.panel}`}>
+        <h4 className={`font-bold text-base mb-4 ${theme.heading}`}>
           Route Information & Fare Calculation
         </h4>
+
+        {route.offline && (
+          <p className="text-xs text-gray-600 bg-gray-100 border border-gray-300 rounded-md p-2 mb-4">
+            <WifiOff className="inline w-4 h-4 mr-1" />
+            Offline estimate: the distance was measured on a simplified road map, so the fare may differ slightly from the actual trip.
+            {route.snapDistance > SNAP_WARNING_KM && (
+              <span className="block mt-1 text-orange-700">
+                A pickup or drop-off point is {Math.round(route.snapDistance * 1000)} m from the nearest mapped road. That
+                stretch is not in the distance or the fare, so agree on it with the driver.
+              </span>
+            )}
+          </p>
+        )}
+
+        <div className="mb-4 pb-4 border-b border-gray-300">
+          {renderTripContextInputs(theme.heading)}
+        </div>
         
         <div className="mb-4 pb-4 border-b border-gray-300">
-          <label className={`block text-xs font-semibold mb-2 ${
-            locationType === 'tagbilaran' ? 'text-blue-900' : 'text-green-900'
-          }`}>
+          <label className={`block text-xs font-semibold mb-2 ${theme.heading}`}>
             <Users className="inline w-4 h-4 mr-1" />
             Passenger Type
           </label>
           <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
-            {locationType === 'tagbilaran' ? (
-              // Tagbilaran passenger types
-              ["regular", "student", "senior", "below5"].map((type) => (
-                <button
-                  key={type}
-                  onClick={() => setPassengerType(type)}
-                  className={`py-1 px-3 rounded-md font-semibold transition-all text-sm ${
-                    passengerType === type
-                      ? locationType === 'tagbitaran' 
-                        ? "bg-blue-600 text-white shadow-md" 
-                        : "bg-green-600 text-white shadow-md"
-                      : "bg-white border-2 hover:border-gray-400"
-                  } ${
-                    locationType === 'tagbilaran' 
-                      ? "text-blue-700 border-blue-200" 
-                      : "text-green-700 border-green-200"
-                  }`}
-                >
-                  {type.charAt(0).toUpperCase() + type.slice(1)}
-                  {type !== "regular" && (
-                    <span className="text-xs ml-1">
-                      ({type === 'below5' ? '-50%' : '-20%'})
-                    </span>
-                  )}
-                </button>
-              ))
-            ) : (
-              // Panglao passenger types
-              ["regular", "student", "elderly", "disable"].map((type) => (
-                <button
-                  key={type}
-                  onClick={() => setPassengerType(type)}
-                  className={`py-1 px-3 rounded-md font-semibold transition-all text-sm ${
-                    passengerType === type
-                      ? "bg-green-600 text-white shadow-md"
-                      : "bg-white text-green-700 border-2 border-green-200 hover:border-green-400"
-                  }`}
-                >
-                  {type.charAt(0).toUpperCase() + type.slice(1)}
-                  {type !== "regular" && <span className="text-xs ml-1">(-₱5)</span>}
-                </button>
-              ))
-            )}
+            {jurisdictionInfo.passengerClassOptions.map((option) => (
+              <button
+                key={option.id}
+                onClick={() => setPassengerType(option.id)}
+                className={`py-1 px-3 rounded-md font-semibold transition-all text-sm ${
+                  fareBreakdown.passengerType === option.id ? theme.active : theme.inactive
+                }`}
+              >
+                {option.label}
+                {option.discountLabel && (
+                  <span className="text-xs ml-1">({option.discountLabel})</span>
+                )}
+              </button>
+            ))}
           </div>
+          {(fareBreakdown.passengerFallback || legFares?.legs.some((leg) => leg.breakdown?.passengerFallback)) && (
+            <p className="text-xs text-orange-700 mt-2">
+              <AlertCircle className="inline w-4 h-4 mr-1" />
+              {`The "${passengerType}" passenger type isn't in every tariff on this trip, so the regular fare is used there.`}
+            </p>
+          )}
         </div>
 
         <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mb-4">
-          <div className={`rounded-md p-3 shadow-sm border ${
-            locationType === 'tagbilaran' 
-              ? 'bg-white border-blue-100' 
-              : 'bg-white border-green-100'
-          }`}>
-            <p className={`text-xs font-semibold uppercase tracking-wider ${
-              locationType === 'tagbilaran' ? 'text-blue-600' : 'text-green-600'
-            }`}>ORIGIN</p>
-            <p className={`text-sm font-semibold mt-1 line-clamp-3 ${
-              locationType === 'tagbilaran' ? 'text-blue-900' : 'text-green-900'
-            }`}>
+          <div className={`rounded-md p-3 shadow-sm border ${theme.card}`}>
+            <p className={`text-xs font-semibold uppercase tracking-wider ${theme.label}`}>ORIGIN</p>
+            <p className={`text-sm font-semibold mt-1 line-clamp-3 ${theme.heading}`}>
               {originAddressLoading ? "Fetching address..." : (originDetails.fullAddress || originName || "Location")}
             </p>
             <p className="text-xs text-gray-500 mt-1">
               {location?.latitude.toFixed(4)}, {location?.longitude.toFixed(4)}
             </p>
           </div>
-          <div className={`rounded-md p-3 shadow-sm border ${
-            locationType === 'tagbilaran' 
-              ? 'bg-white border-blue-100' 
-              : 'bg-white border-green-100'
-          }`}>
-            <p className={`text-xs font-semibold uppercase tracking-wider ${
-              locationType === 'tagbilaran' ? 'text-blue-600' : 'text-green-600'
-            }`}>DESTINATION</p>
-            <p className={`text-sm font-semibold mt-1 line-clamp-3 ${
-              locationType === 'tagbilaran' ? 'text-blue-900' : 'text-green-900'
-            }`}>
+          <div className={`rounded-md p-3 shadow-sm border ${theme.card}`}>
+            <p className={`text-xs font-semibold uppercase tracking-wider ${theme.label}`}>DESTINATION</p>
+            <p className={`text-sm font-semibold mt-1 line-clamp-3 ${theme.heading}`}>
               {destinationAddressLoading ? "Fetching address..." : (destinationDetails.fullAddress || destination)}
             </p>
             <p className="text-xs text-gray-500 mt-1">
@@ -1125,114 +2811,155 @@ const RouteFinder = () => {
           </div>
         </div>
 
+        {routeOptions.length > 1 && renderRouteOptions(fareOptions, theme)}
+
         <div className="grid grid-cols-2 md:grid-cols-2 gap-3 mb-4">
-          <div className={`rounded-md p-3 shadow-sm border ${
-            locationType === 'tagbilaran' 
-              ? 'bg-white border-blue-100' 
-              : 'bg-white border-green-100'
-          }`}>
-            <p className={`text-xs font-semibold uppercase tracking-wider ${
-              locationType === 'tagbilaran' ? 'text-blue-600' : 'text-green-600'
-            }`}>Distance</p>
-            <p className={`text-xl font-bold mt-1 ${
-              locationType === 'tagbilaran' ? 'text-blue-900' : 'text-green-900'
-            }`}>
+          <div className={`rounded-md p-3 shadow-sm border ${theme.card}`}>
+            <p className={`text-xs font-semibold uppercase tracking-wider ${theme.label}`}>Distance</p>
+            <p className={`text-xl font-bold mt-1 ${theme.heading}`}>
               {route.distance.toFixed(2)} <span className="text-sm">km</span>
             </p>
+            <p className="text-xs text-gray-500 mt-1">
+              {route.carRoute
+                ? "🚗 Car route: the routing server has no tricycle road rules, so national highways aren't avoided"
+                : "🛺 Tricycle route"}
+            </p>
+            {fareBreakdown.distanceRounding && fareBreakdown.billedDistance !== fareBreakdown.distance && (
+              <p className="text-xs text-gray-500 mt-1">
+                Billed as {fareBreakdown.billedDistance.toFixed(2)} km ({fareBreakdown.distanceRounding})
+              </p>
+            )}
           </div>
           <div className="bg-gradient-to-br from-yellow-400 to-orange-400 rounded-md p-3 shadow-sm border border-yellow-300">
-            <p className="text-xs text-yellow-900 font-semibold uppercase tracking-wider">Fare ({passengerType})</p>
+            <p className="text-xs text-yellow-900 font-semibold uppercase tracking-wider">
+              {legFares ? `Trip Total (${passengerType})` : `Fare (${passengerType})`}
+            </p>
             <p className="text-2xl font-bold text-yellow-900 mt-1">
-              ₱{calculateFare(route.distance, passengerType, locationType).toFixed(2)}
+              ₱{(legFares ? legFares.totalFare : calculateFare(route.distance, passengerType, locationType, fareOptions)).toFixed(2)}
             </p>
           </div>
         </div>
 
-        <div className={`rounded-md p-3 border ${
-          locationType === 'tagbilaran' 
-            ? 'bg-white border-blue-200' 
-            : 'bg-white border-green-200'
-        }`}>
-          <h5 className={`font-semibold mb-2 text-sm ${
-            locationType === 'tagbilaran' ? 'text-blue-900' : 'text-green-900'
-          }`}>Fare Breakdown (Per Person)</h5>
-          <div className="space-y-1 text-sm">
-            <div className="flex justify-between text-gray-700">
-              <span>First 1 km:</span>
-              <span className="font-semibold">₱{fareBreakdown.firstKmRate.toFixed(2)}</span>
-            </div>
-            {route.distance > 1 && (
-              <>
-                <div className="flex justify-between text-gray-700">
-                  <span>Remaining {(route.distance - 1).toFixed(2)} km × ₱{fareBreakdown.succeedingKmRate.toFixed(2)}/km:</span>
-                  <span className="font-semibold">₱{((route.distance - 1) * fareBreakdown.succeedingKmRate).toFixed(2)}</span>
-                </div>
-                <div className="border-t border-gray-300 pt-1 flex justify-between text-gray-900 font-bold">
-                  <span>Subtotal:</span>
-                  <span>₱{(fareBreakdown.firstKmRate + (route.distance - 1) * fareBreakdown.succeedingKmRate).toFixed(2)}</span>
+        {profileRoute && (
+          <p className="text-xs text-gray-600 bg-gray-50 border border-gray-200 rounded-md p-2 mb-4">
+            {getRoutingProfile(profileRoute.profile).icon} By {getRoutingProfile(profileRoute.profile).label.toLowerCase()}:{" "}
+            {profileRoute.distance.toFixed(2)} km · {Math.round(profileRoute.duration)} min. Shown for reference only; the
+            fare above uses the {route.distance.toFixed(2)} km {getFareRouteLabel(route)}.
+          </p>
+        )}
+
+        {legFares ? renderLegFares(legFares, theme) : (
+          <div className={`rounded-md p-3 border ${theme.box}`}>
+            <h5 className={`font-semibold mb-2 text-sm ${theme.heading}`}>Fare Breakdown (Per Person)</h5>
+            <div className="space-y-1 text-sm">
+              {fareBreakdown.lines.map((line, index) => (
+                <div
+                  key={`${line.type}-${index}`}
+                  className={`flex justify-between ${
+                    line.type === "discount" ? `font-semibold ${theme.accent}` : "text-gray-700"
+                  }`}
+                >
+                  <span>{line.label}:</span>
+                  <span className="font-semibold">
+                    {line.amount < 0 ? "-" : ""}₱{Math.abs(line.amount).toFixed(2)}
+                  </span>
                 </div>
-              </>
-            )}
-            {passengerType !== "regular" && (
-              <div className={`flex justify-between font-semibold ${
-                locationType === 'tagbilaran' ? 'text-blue-700' : 'text-green-700'
-              }`}>
-                <span>Discount ({passengerType}):</span>
-                <span>
-                  {locationType === 'tagbilaran' 
-                    ? passengerType === 'below5' ? '-50%' : '-20%'
-                    : '-₱5.00'
-                  }
-                </span>
+              ))}
+              {fareBreakdown.segments.length > 1 && (
+                <p className="text-xs text-gray-500">
+                  Share by jurisdiction:{" "}
+                  {fareBreakdown.segments
+                    .map((segment) => `${segment.name} ${segment.distanceKm.toFixed(2)} km, ₱${segment.fare.toFixed(2)} (${Math.round(segment.share * 100)}%)`)
+                    .join(" · ")}
+                </p>
+              )}
+              <div className={`border-t-2 pt-1 flex justify-between font-bold text-sm ${theme.total}`}>
+                <span>Total Fare:</span>
+                <span>₱{fareBreakdown.totalFare.toFixed(2)}</span>
               </div>
-            )}
-            <div className={`border-t-2 pt-1 flex justify-between font-bold text-sm ${
-              locationType === 'tagbilaran' 
-                ? 'border-blue-400 text-blue-900' 
-                : 'border-green-400 text-green-900'
-            }`}>
-              <span>Total Fare:</span>
-              <span>₱{fareBreakdown.totalFare.toFixed(2)}</span>
             </div>
           </div>
-        </div>
+        )}
 
-        <div className={`rounded-md p-3 border mt-3 ${
-          locationType === 'tagbilaran' 
-            ? 'bg-blue-50 border-blue-200' 
-            : 'bg-green-50 border-green-200'
-        }`}>
-          <h5 className={`font-semibold mb-1 text-sm ${
-            locationType === 'tagbilaran' ? 'text-blue-900' : 'text-green-900'
-          }`}>📍 Jurisdiction Information</h5>
-          <p className={`text-xs ${
-            locationType === 'tagbilaran' ? 'text-blue-700' : 'text-green-700'
-          }`}>
+        {!legFares && renderGroupFare(jurisdictionInfo, theme, fareOptions)}
+
+        <div className={`rounded-md p-3 border mt-3 ${theme.soft}`}>
+          <h5 className={`font-semibold mb-1 text-sm ${theme.heading}`}>📍 Jurisdiction Information</h5>
+          <p className={`text-xs ${theme.accent}`}>
             ✅ <strong>Official Tariff Applies</strong> - Your trip originates within the jurisdiction of {jurisdictionInfo.name}.
             {originDetails.barangay && !originAddressLoading && ` You are in Barangay ${originDetails.barangay}.`}
           </p>
+          {fareBreakdown.crossJurisdiction && (
+            <p className={`text-xs mt-1 ${theme.accent}`}>
+              🔀 This trip ends {hasTariff(fareBreakdown.destinationType)
+                ? `in ${getJurisdictionInfo(fareBreakdown.destinationType, fareOptions.date).shortName}`
+                : "outside the tariff jurisdictions"}
+              {" "}and is priced using the inter-town &quot;{fareBreakdown.policy}&quot; rule.
+            </p>
+          )}
           <div className="mt-2 pt-2 border-t border-gray-300">
-            <p className={`text-xs font-semibold mb-1 ${
-              locationType === 'tagbilaran' ? 'text-blue-800' : 'text-green-800'
-            }`}>Official Fare Structure:</p>
-            <ul className={`text-xs space-y-1 ${
-              locationType === 'tagbilaran' ? 'text-blue-700' : 'text-green-700'
-            }`}>
+            <p className={`text-xs font-semibold mb-1 ${theme.strong}`}>Official Fare Structure:</p>
+            <ul className={`text-xs space-y-1 ${theme.accent}`}>
               <li className="flex justify-between">
                 <span>First 1 Kilometer:</span>
-                <span className="font-semibold">
-                  ₱{locationType === 'tagbilaran' ? '15.00' : '20.00'}
-                </span>
+                <span className="font-semibold">₱{regularRates.firstKm.toFixed(2)}</span>
               </li>
               <li className="flex justify-between">
                 <span>Every Succeeding Kilometer:</span>
-                <span className="font-semibold">
-                  ₱{locationType === 'tagbilaran' ? '2.00' : '5.00'}
-                </span>
+                <span className="font-semibold">₱{regularRates.succeedingKm.toFixed(2)}</span>
               </li>
+              {jurisdictionInfo.surcharges.map((surcharge) => (
+                <li key={surcharge.id} className="flex justify-between">
+                  <span>{surcharge.label}:</span>
+                  <span className="font-semibold">
+                    {surcharge.percent
+                      ? `+${surcharge.percent}%`
+                      : `₱${surcharge.amount.toFixed(2)}${surcharge.type === "perBag" ? "/bag" : ""}`}
+                  </span>
+                </li>
+              ))}
+              {jurisdictionInfo.minimumFare && (
+                <li className="flex justify-between">
+                  <span>Minimum Fare:</span>
+                  <span className="font-semibold">₱{jurisdictionInfo.minimumFare.toFixed(2)}</span>
+                </li>
+              )}
             </ul>
+            <p className="text-xs text-gray-500 mt-2">
+              {jurisdictionInfo.ordinance} · In effect since {jurisdictionInfo.effectiveFrom}
+              {jurisdictionInfo.effectiveTo && ` until ${jurisdictionInfo.effectiveTo}`} · Tariff version {fareBreakdown.tariffVersion}
+            </p>
+            {upcoming && (
+              <p className={`text-xs font-semibold mt-1 ${theme.strong}`}>
+                ⚠️ A new fare schedule takes effect on {upcoming.effectiveFrom} ({upcoming.ordinance}).
+              </p>
+            )}
           </div>
         </div>
+
+        <div className="mt-3 flex flex-col md:flex-row gap-2">
+          <button
+            type="button"
+            onClick={() => exportReceipt("print", fareBreakdown, legFares)}
+            disabled={receiptLoading}
+            className={`flex-1 flex items-center justify-center gap-2 py-2 rounded-md font-semibold text-sm disabled:opacity-50 ${theme.active}`}
+          >
+            <Printer className="w-4 h-4" />
+            Print Receipt
+          </button>
+          <button
+            type="button"
+            onClick={() => exportReceipt("png", fareBreakdown, legFares)}
+            disabled={receiptLoading}
+            className={`flex-1 flex items-center justify-center gap-2 py-2 rounded-md font-semibold text-sm disabled:opacity-50 ${theme.inactive}`}
+          >
+            <Download className="w-4 h-4" />
+            {receiptLoading ? "Preparing receipt..." : "Download Receipt (PNG)"}
+          </button>
+        </div>
+        {receiptError && <p className="text-xs text-red-700 mt-2">{receiptError}</p>}
+
+        {renderReportForm(jurisdictionInfo, fareBreakdown, legFares ? legFares.totalFare : fareBreakdown.totalFare, theme)}
       </div>
     );
   };
@@ -1279,33 +3006,76 @@ const RouteFinder = () => {
                 <MapPin size={24} className="text-red-600" />
               </div>
               <h3 className="text-xl md:text-2xl font-bold text-cyan-900 tracking-tight">
-                Your Current Location
+                {location?.source === "manual" ? "Starting Point" : "Your Current Location"}
               </h3>
             </div>
 
-            {locationError ? (
-              renderLocationError()
-            ) : !location ? (
-              <div className="flex justify-center items-center py-16">
-                <svg className="animate-spin h-8 w-8 text-red-500" viewBox="0 0 24 24">
-                  <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" fill="none" />
-                  <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8v8z" />
-                </svg>
-                <span className="ml-4 text-red-600 font-medium text-lg">Fetching your location...</span>
-              </div>
-            ) : (
-              <>
-                {renderAddressDisplay(originName, originDetails, originAddressLoading, locationType !== 'outside', "origin")}
-
-                {renderMap()}
-                
-                <div className="mt-2 text-center">
-                  <p className="text-sm text-gray-600">
-                    💡 <strong>Click anywhere on the map</strong> to see coordinates and address
-                  </p>
+            {renderOriginPicker()}
+
+            {!location && (
+              locationError ? (
+                <div className="mb-6">{renderLocationError()}</div>
+              ) : (
+                <div className="flex justify-center items-center py-6 mb-6">
+                  <svg className="animate-spin h-8 w-8 text-red-500" viewBox="0 0 24 24">
+                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" fill="none" />
+                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8v8z" />
+                  </svg>
+                  <span className="ml-4 text-red-600 font-medium text-lg">Fetching your location...</span>
                 </div>
-              </>
+              )
+            )}
+
+            {location && renderAddressDisplay(originName, originDetails, originAddressLoading, locationType !== OUTSIDE_JURISDICTION, "origin")}
+
+            {renderMap()}
+
+            <div className="mt-2 text-center">
+              <p className="text-sm text-gray-600">
+                💡 <strong>Click anywhere on the map</strong> to see its address, route there, add it as a stop or start your trip there.
+                {" "}{isMobile ? "Long-press" : "Right-click"} to route straight to a point; drag the green and red markers to adjust the trip.
+              </p>
+            </div>
+
+            {clickedCoords && (
+              <div className="mt-3 flex flex-col md:flex-row md:items-center gap-2 bg-blue-50 border border-blue-200 rounded-lg p-3">
+                <p className="flex-1 text-sm text-blue-900 truncate">
+                  📍 {clickedAddressLoading ? "Fetching address..." : (clickedAddress || `${clickedCoords.lat.toFixed(4)}, ${clickedCoords.lng.toFixed(4)}`)}
+                </p>
+                <button
+                  type="button"
+                  onClick={handleSetClickedOrigin}
+                  disabled={clickedAddressLoading}
+                  className="flex items-center justify-center gap-1 px-3 py-1 rounded-md bg-green-600 text-white text-sm font-semibold hover:bg-green-700 disabled:bg-gray-400"
+                >
+                  <MapPin className="w-4 h-4" />
+                  Set as origin
+                </button>
+                {location && (
+                  <button
+                    type="button"
+                    onClick={() => routeToPoint(clickedCoords.lat, clickedCoords.lng)}
+                    className="flex items-center justify-center gap-1 px-3 py-1 rounded-md bg-orange-500 text-white text-sm font-semibold hover:bg-orange-600"
+                  >
+                    <Navigation className="w-4 h-4" />
+                    Route here
+                  </button>
+                )}
+                {location && (
+                  <button
+                    type="button"
+                    onClick={handleAddClickedStop}
+                    disabled={clickedAddressLoading}
+                    className="flex items-center justify-center gap-1 px-3 py-1 rounded-md bg-blue-600 text-white text-sm font-semibold hover:bg-blue-700 disabled:bg-gray-400"
+                  >
+                    <Plus className="w-4 h-4" />
+                    Add as stop
+                  </button>
+                )}
+              </div>
             )}
+
+            {renderTripMeter()}
           </div>
 
           {/* SWAPPED: Route Search Card now comes second */}
@@ -1319,17 +3089,25 @@ const RouteFinder = () => {
               </h3>
             </div>
 
+            {!isOnline && (
+              <div className="flex items-start gap-2 bg-gray-100 border border-gray-300 rounded-xl p-3 mb-4">
+                <WifiOff className="w-5 h-5 text-gray-600 mt-0.5" />
+                <p className="text-sm text-gray-700">
+                  You are offline. Search covers barangays and common destinations in Tagbilaran, Dauis and Panglao,
+                  and routes use a simplified road map. Fares are still calculated from the official tariff.
+                </p>
+              </div>
+            )}
+
             {!location ? (
               <div className="space-y-4">
-                {locationError ? (
-                  renderLocationError()
-                ) : (
-                  <div className="bg-yellow-50 border border-yellow-200 rounded-xl p-4">
-                    <p className="text-yellow-700 font-medium">
-                      Waiting for location... Enable your location to search for routes.
-                    </p>
-                  </div>
-                )}
+                <div className="bg-yellow-50 border border-yellow-200 rounded-xl p-4">
+                  <p className="text-yellow-700 font-medium">
+                    {locationError
+                      ? "Choose a starting point first: search for it above, or click the map and choose Set as origin."
+                      : "Waiting for location... Enable your location, or search for a starting point above, to find routes."}
+                  </p>
+                </div>
               </div>
             ) : (
               <>
@@ -1346,6 +3124,8 @@ const RouteFinder = () => {
                             setSearchError(null);
                           }}
                           onFocus={() => {
+                            // Start indexing barangays before the first keystroke
+                            loadJurisdictions().catch(() => undefined);
                             if (searchSuggestions.length > 0) {
                               setShowSuggestions(true);
                             }
@@ -1380,6 +3160,21 @@ const RouteFinder = () => {
                     <div className="mt-2 text-sm text-gray-600">
                       💡 <strong>Start typing</strong> to see search suggestions (e.g., "Alona" for Alona Beach)
                     </div>
+                    {destinationCoords && destination.trim() && !isDestinationSaved() && (
+                      <button
+                        type="button"
+                        onClick={handleSaveDestination}
+                        className="mt-2 flex items-center gap-1 text-sm font-semibold text-orange-600 hover:text-orange-700"
+                      >
+                        <Star className="w-4 h-4" />
+                        Save this destination
+                      </button>
+                    )}
+                    {historyError && <p className="text-sm text-red-600 mt-1">{historyError}</p>}
+                    {renderSavedPlaces(
+                      (place) => routeToPoint(place.lat, place.lng, place.name),
+                      "bg-orange-50 border-orange-200 text-orange-800"
+                    )}
                   </div>
                 </form>
 
@@ -1389,7 +3184,17 @@ const RouteFinder = () => {
                   </div>
                 )}
 
+                {renderRecentTrips()}
+
+                {renderProfileSelector()}
+
+                {renderWaypointList()}
+
                 {route && destinationCoords && renderFareCalculation()}
+
+                {route && destinationCoords && renderShareTrip()}
+
+                {route && destinationCoords && renderDirections()}
               </>
             )}
           </div>
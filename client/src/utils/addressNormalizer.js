@@ -0,0 +1,164 @@
+// Resolve reverse-geocoding results to a canonical Philippine address using the PSGC hierarchy
+// in locations.json, so every place is described with the same fields whatever keys the
+// geocoder happened to fill in
+import { loadLocations, nameKeys } from './locations';
+import { normalizePlaceText } from './placeIndex';
+
+// Geocoder address keys that may hold each level, most reliable first. Nominatim puts
+// Philippine barangays in village, suburb, quarter or neighbourhood depending on the area.
+const PROVINCE_KEYS = ['province', 'state', 'county'];
+const MUNICIPALITY_KEYS = ['municipality', 'city', 'town', 'county', 'city_district'];
+const BARANGAY_KEYS = ['barangay', 'village', 'suburb', 'quarter', 'neighbourhood', 'hamlet', 'city_district', 'residential'];
+const LANDMARK_KEYS = ['amenity', 'tourism', 'historic', 'leisure', 'shop', 'building', 'aeroway', 'office'];
+
+// Share of the confidence score each level contributes. Levels the geocoder named but
+// locations.json doesn't confirm count for half.
+const WEIGHTS = { province: 0.2, municipality: 0.35, barangay: 0.35, street: 0.1 };
+const UNVERIFIED_FACTOR = 0.5;
+
+export const CONFIDENCE_LEVELS = { HIGH: 0.8, MEDIUM: 0.5 };
+
+const firstValue = (address, keys) => keys.map((key) => address[key]).find((value) => value && value.trim());
+
+// "Barangay Cogon" and "Brgy. Cogon" name the barangay "Cogon"
+const stripBarangayPrefix = (value) => value.replace(/^\s*(barangay|brgy\.?)\s+/i, '');
+
+// Match keys for the geocoder's values at a level, then for every part of the display name
+const candidateKeys = (address, keys, displayParts, clean = (value) => value) => [
+  ...keys.map((key) => address[key]),
+  ...displayParts,
+]
+  .filter(Boolean)
+  .flatMap((value) => nameKeys(clean(value)));
+
+const keyCache = new Map();
+const keysOf = (name) => {
+  if (!keyCache.has(name)) keyCache.set(name, nameKeys(name));
+  return keyCache.get(name);
+};
+
+// Items whose name matches the earliest candidate that matches anything
+const matchByName = (items, getName, candidates) => {
+  for (const candidate of candidates) {
+    const matches = items.filter((item) => keysOf(getName(item)).includes(candidate));
+    if (matches.length > 0) return matches;
+  }
+  return [];
+};
+
+// Walk province → municipality → barangay, each level only searched inside the one above.
+// A municipality found without its province must be the only one by that name.
+const resolveInHierarchy = (regions, address, displayParts) => {
+  const provinces = regions.flatMap((region) => region.provinces.map((province) => ({ region, province })));
+  const [provinceMatch] = matchByName(provinces, ({ province }) => province.name, candidateKeys(address, PROVINCE_KEYS, displayParts));
+
+  const municipalities = (provinceMatch ? [provinceMatch] : provinces).flatMap(({ region, province }) =>
+    province.municipalities.map((municipality) => ({ region, province, municipality }))
+  );
+  const municipalityMatches = matchByName(
+    municipalities,
+    ({ municipality }) => municipality.name,
+    candidateKeys(address, MUNICIPALITY_KEYS, displayParts)
+  );
+  const municipalityMatch = municipalityMatches.length === 1 ? municipalityMatches[0] : null;
+  if (!municipalityMatch) {
+    return { region: provinceMatch?.region, province: provinceMatch?.province };
+  }
+
+  const [barangay] = matchByName(
+    municipalityMatch.municipality.barangays,
+    (name) => name,
+    candidateKeys(address, BARANGAY_KEYS, displayParts, stripBarangayPrefix)
+  );
+  return { ...municipalityMatch, barangay };
+};
+
+// Confidence from how many levels were found and whether locations.json confirmed them
+const scoreConfidence = (levels, verified) =>
+  Math.round(
+    Object.entries(WEIGHTS).reduce((total, [level, weight]) => {
+      if (!levels[level]) return total;
+      return total + (level === 'street' || verified[level] ? weight : weight * UNVERIFIED_FACTOR);
+    }, 0) * 100
+  ) / 100;
+
+// One-line address from the canonical fields, most specific first
+export const formatAddress = (normalized) =>
+  [
+    normalized.landmark,
+    normalized.road,
+    normalized.barangay,
+    normalized.municipality,
+    normalized.province,
+    normalized.region,
+    normalized.postcode,
+    normalized.country,
+  ]
+    .filter((part, index, parts) => part && parts.indexOf(part) === index)
+    .join(', ');
+
+// Short name for the place: the landmark or road, else the barangay or municipality
+export const placeLabel = (normalized) =>
+  normalized.landmark ||
+  normalized.road ||
+  (normalized.barangay ? `Barangay ${normalized.barangay}` : null) ||
+  normalized.municipality ||
+  null;
+
+export const confidenceLevel = (confidence) => {
+  if (confidence >= CONFIDENCE_LEVELS.HIGH) return 'high';
+  if (confidence >= CONFIDENCE_LEVELS.MEDIUM) return 'medium';
+  return 'low';
+};
+
+// Canonical { region, province, municipality, barangay, road, landmark } for a normalized
+// reverse-geocoding result ({ address, displayName }), with PSGC spellings where
+// locations.json confirms a level and the geocoder's own values otherwise. `confidence`
+// runs from 0 (nothing usable) to 1 (every level confirmed plus a street or landmark).
+export const normalizeAddress = async ({ address = {}, displayName = '' }) => {
+  let regions = null;
+  try {
+    regions = await loadLocations();
+  } catch (error) {
+    console.warn('PSGC hierarchy unavailable, using geocoder address names:', error);
+  }
+
+  const displayParts = displayName.split(',').map((part) => part.trim());
+  const resolved = regions ? resolveInHierarchy(regions, address, displayParts) : {};
+
+  const verified = {
+    province: Boolean(resolved.province),
+    municipality: Boolean(resolved.municipality),
+    barangay: Boolean(resolved.barangay),
+  };
+
+  const rawBarangay = firstValue(address, BARANGAY_KEYS);
+  const normalized = {
+    region: resolved.region?.name || address.region || null,
+    province: resolved.province?.name || firstValue(address, PROVINCE_KEYS) || null,
+    municipality: resolved.municipality?.name || firstValue(address, MUNICIPALITY_KEYS) || null,
+    barangay: resolved.barangay || (rawBarangay ? stripBarangayPrefix(rawBarangay) : null),
+    road: address.road || null,
+    landmark: firstValue(address, LANDMARK_KEYS) || null,
+    postcode: address.postcode || null,
+    country: address.country || null,
+    displayName,
+    verified,
+  };
+
+  // A raw barangay that merely repeats the municipality isn't extra information
+  if (!verified.barangay && normalizePlaceText(normalized.barangay) === normalizePlaceText(normalized.municipality)) {
+    normalized.barangay = null;
+  }
+
+  normalized.confidence = scoreConfidence(
+    {
+      province: normalized.province,
+      municipality: normalized.municipality,
+      barangay: normalized.barangay,
+      street: normalized.road || normalized.landmark,
+    },
+    verified
+  );
+  return normalized;
+};
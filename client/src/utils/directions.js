@@ -0,0 +1,79 @@
+// Turn-by-turn instructions for route steps. Steps use OSRM's maneuver vocabulary
+// (type: depart, turn, continue, roundabout, arrive, ...; modifier: left, slight right, ...)
+// whichever router produced them.
+
+const COMPASS_POINTS = ['north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest'];
+
+// Nearest of the eight compass points for a bearing in degrees
+export const compassDirection = (bearing) => COMPASS_POINTS[Math.round((((bearing % 360) + 360) % 360) / 45) % 8];
+
+// OSRM-style turn modifier for a change of heading from bearingBefore to bearingAfter
+export const turnModifier = (bearingBefore, bearingAfter) => {
+  const angle = (((bearingAfter - bearingBefore) % 360) + 540) % 360 - 180; // -180 (left) to 180 (right)
+  const magnitude = Math.abs(angle);
+  if (magnitude < 20) return 'straight';
+  if (magnitude > 170) return 'uturn';
+
+  const side = angle > 0 ? 'right' : 'left';
+  if (magnitude < 60) return `slight ${side}`;
+  if (magnitude > 135) return `sharp ${side}`;
+  return side;
+};
+
+const ordinal = (n) => {
+  const suffix = { 1: 'st', 2: 'nd', 3: 'rd' }[n % 10];
+  return `${n}${n % 100 >= 11 && n % 100 <= 13 ? 'th' : suffix || 'th'}`;
+};
+
+const onto = (name) => (name ? ` onto ${name}` : '');
+
+const turnPhrase = (modifier) => {
+  if (!modifier || modifier === 'straight') return 'Continue straight';
+  if (modifier === 'uturn') return 'Make a U-turn';
+  return `Turn ${modifier}`;
+};
+
+// English instruction for a step. `stopNumber` marks the arrival at an intermediate stop.
+export const formatInstruction = ({ type, modifier, name, exit, bearingAfter }, { stopNumber = null } = {}) => {
+  switch (type) {
+    case 'depart':
+      return `Head ${compassDirection(bearingAfter)}${name ? ` on ${name}` : ''}`;
+    case 'arrive':
+      return stopNumber ? `Arrive at stop ${stopNumber}` : 'Arrive at your destination';
+    case 'roundabout':
+    case 'rotary':
+    case 'roundabout turn':
+      return `At the roundabout, take the ${exit ? `${ordinal(exit)} exit` : 'exit'}${onto(name)}`;
+    case 'exit roundabout':
+    case 'exit rotary':
+      return `Exit the roundabout${onto(name)}`;
+    case 'fork':
+      return `Keep ${modifier?.includes('left') ? 'left' : 'right'}${onto(name)}`;
+    case 'merge':
+      return `Merge${onto(name)}`;
+    case 'on ramp':
+      return `Take the ramp${onto(name)}`;
+    case 'off ramp':
+      return `Take the exit${onto(name)}`;
+    case 'continue':
+    case 'new name':
+      return name ? `Continue onto ${name}` : 'Continue straight';
+    default:
+      return `${turnPhrase(modifier)}${onto(name)}`;
+  }
+};
+
+// "250 m" below a kilometer, "1.4 km" above
+export const formatStepDistance = (km) => (km < 1 ? `${Math.max(10, Math.round((km * 1000) / 10) * 10)} m` : `${km.toFixed(1)} km`);
+
+// One list of steps for the whole trip, numbering the arrival at each intermediate stop
+export const flattenLegSteps = (legs) =>
+  legs.flatMap((leg, legIndex) =>
+    (leg.steps || []).map((step) => ({
+      ...step,
+      legIndex,
+      instruction: formatInstruction(step, {
+        stopNumber: step.type === 'arrive' && legIndex < legs.length - 1 ? legIndex + 1 : null,
+      }),
+    }))
+  );
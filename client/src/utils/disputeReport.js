@@ -0,0 +1,170 @@
+// Fare dispute (overcharge) reports: build a structured complaint, queue it locally and
+// submit it to the configured endpoint when one is available
+import { toTariffDateTime } from './fareCalculator';
+
+const QUEUE_STORAGE_KEY = 'fareComplaintQueue';
+
+// Where complaints are submitted; reports stay queued on the device while this is unset
+const COMPLAINT_ENDPOINT = import.meta.env.VITE_COMPLAINT_ENDPOINT;
+
+export const isComplaintEndpointConfigured = () => Boolean(COMPLAINT_ENDPOINT);
+
+// Build a complaint from the trip, the legal fare and what the driver actually charged.
+// Throws when the report is missing what an enforcement office needs to act on it.
+export const buildComplaint = ({
+  jurisdictionInfo,
+  origin,
+  destination,
+  stops = [],
+  route,
+  fareBreakdown,
+  legalFare,
+  chargedAmount,
+  bodyNumber = '',
+  plateNumber = '',
+  tripTime,
+  notes = '',
+  createdAt = new Date(),
+}) => {
+  const charged = Number(chargedAmount);
+  if (!Number.isFinite(charged) || charged <= 0) {
+    throw new Error('Enter the amount the driver charged.');
+  }
+  if (!bodyNumber.trim() && !plateNumber.trim()) {
+    throw new Error("Enter the tricycle's body number or plate number.");
+  }
+
+  const trip = toTariffDateTime(tripTime || createdAt);
+  const filed = toTariffDateTime(createdAt);
+  const complaint = {
+    id: `FC-${createdAt.getTime().toString(36).toUpperCase()}`,
+    createdAt: createdAt.toISOString(),
+    addressedTo: {
+      jurisdiction: jurisdictionInfo.id,
+      name: jurisdictionInfo.name,
+      ordinance: jurisdictionInfo.ordinance,
+    },
+    trip: {
+      date: trip.date,
+      time: trip.time,
+      origin,
+      destination,
+      stops: stops.map(({ name, lat, lng }) => ({ name, lat, lng })),
+      distanceKm: Number(route.distance.toFixed(2)),
+      coordinates: route.coordinates,
+    },
+    vehicle: {
+      bodyNumber: bodyNumber.trim(),
+      plateNumber: plateNumber.trim().toUpperCase(),
+    },
+    fare: {
+      passengerType: fareBreakdown.passengerType,
+      legalFare,
+      chargedAmount: charged,
+      overcharge: Number((charged - legalFare).toFixed(2)),
+      lines: fareBreakdown.lines,
+      tariffVersion: fareBreakdown.tariffVersion,
+      scheduleId: fareBreakdown.scheduleId,
+    },
+    notes: notes.trim(),
+    filedAt: `${filed.date} ${filed.time}`,
+  };
+
+  return { ...complaint, summary: formatComplaintSummary(complaint) };
+};
+
+// Human-readable version of a complaint, suitable for email or a printed letter
+export const formatComplaintSummary = (complaint) => {
+  const { addressedTo, trip, vehicle, fare } = complaint;
+  const vehicleIds = [
+    vehicle.bodyNumber && `body no. ${vehicle.bodyNumber}`,
+    vehicle.plateNumber && `plate no. ${vehicle.plateNumber}`,
+  ].filter(Boolean).join(', ');
+
+  const via = trip.stops.length ? ` via ${trip.stops.map((stop) => stop.name).join(', ')}` : '';
+
+  return [
+    `To: Tricycle fare regulation office, ${addressedTo.name}`,
+    `Re: Tricycle fare overcharge (${addressedTo.ordinance})`,
+    `Reference: ${complaint.id}`,
+    '',
+    `On ${trip.date}${trip.time ? ` at ${trip.time}` : ''}, I rode tricycle ${vehicleIds} ` +
+      `from ${trip.origin.name}${via} to ${trip.destination.name} (${trip.distanceKm.toFixed(2)} km) ` +
+      `as a ${fare.passengerType} passenger.`,
+    '',
+    `Legal fare under tariff ${fare.tariffVersion} (${fare.scheduleId}): ₱${fare.legalFare.toFixed(2)}`,
+    `Amount charged by the driver: ₱${fare.chargedAmount.toFixed(2)}`,
+    `Overcharge: ₱${fare.overcharge.toFixed(2)}`,
+    ...(complaint.notes ? ['', `Notes: ${complaint.notes}`] : []),
+    '',
+    `Filed ${complaint.filedAt} (Philippine time).`,
+  ].join('\n');
+};
+
+// Complaints waiting to be submitted, oldest first
+export const getQueuedComplaints = () => {
+  try {
+    return JSON.parse(localStorage.getItem(QUEUE_STORAGE_KEY)) || [];
+  } catch (error) {
+    console.error('Complaint queue error:', error);
+    return [];
+  }
+};
+
+// Write the queue; false when storage is full or disabled (e.g. private browsing)
+const saveQueue = (queue) => {
+  try {
+    localStorage.setItem(QUEUE_STORAGE_KEY, JSON.stringify(queue));
+    return true;
+  } catch (error) {
+    console.error('Complaint queue error:', error);
+    return false;
+  }
+};
+
+// Add a complaint to the local queue. Returns the updated queue and whether it could be kept
+// on the device; when it couldn't, the complaint only lives in the returned queue.
+export const queueComplaint = (complaint) => {
+  const queue = [...getQueuedComplaints().filter((queued) => queued.id !== complaint.id), complaint];
+  return { queue, saved: saveQueue(queue) };
+};
+
+// Drop a complaint from the local queue and return the updated queue
+export const removeQueuedComplaint = (id) => {
+  const queue = getQueuedComplaints().filter((queued) => queued.id !== id);
+  saveQueue(queue);
+  return queue;
+};
+
+// Send one complaint to the configured endpoint
+export const submitComplaint = async (complaint) => {
+  if (!COMPLAINT_ENDPOINT) {
+    throw new Error('No complaint endpoint is configured');
+  }
+
+  const response = await fetch(COMPLAINT_ENDPOINT, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(complaint),
+  });
+  if (!response.ok) {
+    throw new Error(`Complaint submission failed with status ${response.status}`);
+  }
+};
+
+// Submit every queued complaint, keeping the ones that fail for a later retry
+export const flushComplaintQueue = async () => {
+  const submitted = [];
+  if (COMPLAINT_ENDPOINT) {
+    for (const complaint of getQueuedComplaints()) {
+      try {
+        await submitComplaint(complaint);
+        removeQueuedComplaint(complaint.id);
+        submitted.push(complaint.id);
+      } catch (error) {
+        console.error('Complaint submission error:', error);
+      }
+    }
+  }
+  return { submitted, queue: getQueuedComplaints() };
+};
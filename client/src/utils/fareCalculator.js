@@ -1,202 +1,651 @@
 // Fare calculation module for different locations
+import tariffData from "../data/tariffs.json";
+import boundaryData from "../data/boundaries.json";
+import { pointInGeometry, distanceToGeometryEdgeKm, haversineKm } from "./geometry";
 
-// Panglao fare rates (existing)
-const PANGLAO_FARE_RATES = {
-  regular: {
-    firstKm: 20,
-    succeedingKm: 5
-  },
-  student: {
-    firstKm: 15,
-    succeedingKm: 4
-  },
-  elderly: {
-    firstKm: 15,
-    succeedingKm: 4
-  },
-  disable: {
-    firstKm: 15,
-    succeedingKm: 4
-  }
-};
-
-// Tagbilaran fare rates (new)
-const TAGBILARAN_FARE_RATES = {
-  regular: {
-    firstKm: 15,
-    succeedingKm: 2
-  },
-  student: {
-    firstKm: 12,
-    succeedingKm: 1.60
-  },
-  senior: {
-    firstKm: 12,
-    succeedingKm: 1.60
-  },
-  disable: {
-    firstKm: 12,
-    succeedingKm: 1.60
-  },
-  below5: {
-    firstKm: 7.50,
-    succeedingKm: 1
+// Sentinel location type for trips that no tariff in the registry covers
+export const OUTSIDE_JURISDICTION = 'outside';
+
+// Tariff registry keyed by jurisdiction id (order of the data file is kept for boundary checks)
+const TARIFF_REGISTRY = new Map(
+  tariffData.jurisdictions.map((jurisdiction) => [jurisdiction.id, jurisdiction])
+);
+
+export const TARIFF_VERSION = tariffData.version;
+
+// Fare schedules take effect on calendar dates in the tariff's local time zone
+const TARIFF_TIMEZONE = tariffData.timezone;
+// "YYYY-MM-DD" or "YYYY-MM-DDTHH:MM[:SS]" strings are read as wall-clock time in that zone
+const LOCAL_DATE_TIME_PATTERN = /^(\d{4}-\d{2}-\d{2})(?:T(\d{2}:\d{2})(?::\d{2})?)?$/;
+
+// How a location's jurisdiction was decided
+export const DETECTION_METHODS = {
+  POLYGON: 'polygon',
+  ADDRESS: 'address',
+  NONE: 'none'
+};
+
+// Address matches are only trusted this close to the named jurisdiction's boundary
+const ADDRESS_FALLBACK_MAX_KM = 0.5;
+
+// Municipal boundary geometries keyed by jurisdiction id
+const BOUNDARIES = new Map(
+  boundaryData.features.map((feature) => [feature.properties.jurisdiction, feature.geometry])
+);
+
+// List every jurisdiction defined in the tariff data
+export const getJurisdictions = () => Array.from(TARIFF_REGISTRY.values());
+
+// Check whether a tariff exists for the given jurisdiction id
+export const hasTariff = (locationType) => TARIFF_REGISTRY.has(locationType);
+
+// Look up a jurisdiction's tariff, failing loudly for ids the registry doesn't know
+export const getTariff = (locationType) => {
+  const tariff = TARIFF_REGISTRY.get(locationType);
+  if (!tariff) {
+    throw new Error(`Unknown fare jurisdiction: ${locationType}`);
   }
+  return tariff;
 };
 
-// Check if location is within Tagbilaran municipality
-export const checkTagbilaranBoundary = (address) => {
+// Convert a trip time (Date, timestamp or local date/time string) to the tariff's local
+// calendar date (YYYY-MM-DD) and time of day (HH:MM, or null when only a date was given)
+export const toTariffDateTime = (date = new Date()) => {
+  const localMatch = typeof date === 'string' && date.match(LOCAL_DATE_TIME_PATTERN);
+  if (localMatch) {
+    return { date: localMatch[1], time: localMatch[2] || null };
+  }
+
+  const parsed = date instanceof Date ? date : new Date(date);
+  if (Number.isNaN(parsed.getTime())) {
+    throw new Error(`Invalid trip date: ${date}`);
+  }
+
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-CA', {
+      timeZone: TARIFF_TIMEZONE,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(parsed).map((part) => [part.type, part.value])
+  );
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`
+  };
+};
+
+// Convert a trip time to a YYYY-MM-DD tariff date
+export const toTariffDate = (date) => toTariffDateTime(date).date;
+
+// List a jurisdiction's fare schedules, oldest first
+export const getTariffSchedules = (locationType) =>
+  [...getTariff(locationType).schedules].sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+
+// Find the fare schedule in effect on the trip date (effectiveTo is inclusive)
+export const getTariffSchedule = (locationType, date) => {
+  const tariffDate = toTariffDate(date);
+  const schedule = getTariffSchedules(locationType).find((candidate) =>
+    candidate.effectiveFrom <= tariffDate &&
+    (!candidate.effectiveTo || tariffDate <= candidate.effectiveTo)
+  );
+
+  if (!schedule) {
+    throw new Error(`No fare schedule for ${getTariff(locationType).name} is in effect on ${tariffDate}`);
+  }
+  return schedule;
+};
+
+// Find the next fare schedule that takes effect after the given date, if one is staged
+export const getUpcomingTariffSchedule = (locationType, date) => {
+  const tariffDate = toTariffDate(date);
+  return getTariffSchedules(locationType).find((schedule) => schedule.effectiveFrom > tariffDate) || null;
+};
+
+// Resolve a passenger type to one of the classes the schedule offers. A type it doesn't offer
+// (a typo, a stale link, another town's class) is priced as the default class and flagged as a
+// fallback so the fare can say so.
+// Base rates always come from the default (regular) class; other classes declare a discount on top.
+const resolvePassengerClass = (tariff, schedule, passengerType) => {
+  const aliased = tariff.passengerAliases?.[passengerType] || passengerType;
+  const offered = Boolean(schedule.passengerClasses[aliased]) &&
+    (!schedule.selectablePassengerClasses || schedule.selectablePassengerClasses.includes(aliased));
+  const classId = offered ? aliased : tariff.defaultPassengerClass;
+  return {
+    classId,
+    fallback: Boolean(passengerType) && !offered,
+    passengerClass: schedule.passengerClasses[classId],
+    rates: schedule.passengerClasses[tariff.defaultPassengerClass]
+  };
+};
+
+// Short label for a passenger class discount, e.g. "-20%", "-₱5" or "₱15 + ₱4/km"
+export const describeDiscount = (discount) => {
+  if (!discount) return null;
+
+  switch (discount.type) {
+    case 'percent':
+      return `-${discount.value}%`;
+    case 'flat':
+      return `-₱${discount.amount}`;
+    case 'rates':
+      return `₱${discount.firstKm} + ₱${discount.succeedingKm}/km`;
+    default:
+      throw new Error(`Unknown discount type: ${discount.type}`);
+  }
+};
+
+// Fare for a distance at the given first-km and per-km rates (the first km may already be covered)
+const distanceFare = (rates, distanceKm, includesFirstKm, coveredKm) =>
+  (includesFirstKm ? rates.firstKm : 0) + (distanceKm - coveredKm) * rates.succeedingKm;
+
+// Discount (a negative amount) a passenger class gets on a segment's regular fare
+const segmentDiscount = (discount, regularFare, distanceKm, includesFirstKm, coveredKm) => {
+  if (!discount) return 0;
+
+  switch (discount.type) {
+    case 'percent':
+      return -regularFare * (discount.value / 100);
+    case 'flat':
+      // Flat discounts are taken once per trip, on the segment where the trip starts
+      return includesFirstKm ? -Math.min(discount.amount, regularFare) : 0;
+    case 'rates':
+      return distanceFare(discount, distanceKm, includesFirstKm, coveredKm) - regularFare;
+    default:
+      throw new Error(`Unknown discount type: ${discount.type}`);
+  }
+};
+
+// Rounding modes a tariff can declare for distances and fares
+const ROUNDERS = {
+  up: Math.ceil,
+  down: Math.floor,
+  nearest: Math.round
+};
+
+// Round an amount to the given step (e.g. ₱0.25 or 0.5 km); a step of 0 leaves the amount untouched
+export const applyRounding = (amount, rule) => {
+  if (!rule || !rule.step) return amount;
+
+  const rounder = ROUNDERS[rule.mode || 'nearest'];
+  if (!rounder) {
+    throw new Error(`Unknown rounding mode: ${rule.mode}`);
+  }
+
+  // Trim floating-point noise so 3.0000000001 km isn't rounded up to the next step
+  const units = Math.round((amount / rule.step) * 1e6) / 1e6;
+  return Number((rounder(units) * rule.step).toFixed(6));
+};
+
+// Human-readable description of a rounding rule, e.g. "nearest ₱0.25"
+const describeRounding = (rule, unit) => {
+  const step = unit === 'km' ? `${rule.step} km` : `₱${rule.step.toFixed(2)}`;
+  return rule.mode === 'nearest' ? `nearest ${step}` : `${rule.mode} to ${step}`;
+};
+
+// Check whether an address falls within a jurisdiction by its address names
+export const checkJurisdictionBoundary = (address, locationType) => {
   if (!address) return false;
-  
-  console.log('Tagbilaran boundary check - Address details:', address);
-  
-  // Check if the location is within Tagbilaran municipality
-  const hasTagbilaranMunicipality = 
-    address.municipality === 'Tagbilaran' ||
-    address.town === 'Tagbilaran' ||
-    address.city === 'Tagbilaran' ||
-    address.county === 'Tagbilaran';
-  
-  const hasBoholProvince = 
-    address.state === 'Bohol' || 
+
+  const tariff = getTariff(locationType);
+
+  console.log(`${tariff.shortName} boundary check - Address details:`, address);
+
+  const matchesName = (value) => tariff.addressNames.includes(value);
+
+  // Check if the location is within the jurisdiction's municipality
+  const hasMunicipality =
+    matchesName(address.municipality) ||
+    matchesName(address.town) ||
+    matchesName(address.city) ||
+    matchesName(address.county);
+
+  const hasBoholProvince =
+    address.state === 'Bohol' ||
     address.province === 'Bohol' ||
     address.region === 'Bohol';
-  
-  const hasCentralVisayas = 
-    address.region === 'Central Visayas' ||
-    address.region === 'Region VII';
-  
-  // Also check if the display name contains "Tagbilaran, Bohol"
+
+  // Also check if the display name mentions the jurisdiction
   const displayName = address._displayName || '';
-  const hasTagbilaranInDisplay = displayName.includes('Tagbilaran, Bohol') || 
-                                displayName.includes('Tagbilaran City') ||
-                                displayName.includes('Tagbilaran');
-  
-  // Tagbilaran tariff applies if it's clearly in Tagbilaran City, Bohol
-  return (hasTagbilaranMunicipality && hasBoholProvince) || hasTagbilaranInDisplay;
+  const hasNameInDisplay = tariff.addressNames.some((name) => displayName.includes(name));
+
+  // Tariff applies if it's clearly in the jurisdiction, Bohol
+  return (hasMunicipality && hasBoholProvince) || hasNameInDisplay;
 };
 
+// Check if location is within Tagbilaran municipality
+export const checkTagbilaranBoundary = (address) => checkJurisdictionBoundary(address, 'tagbilaran');
+
 // Check if location is within Panglao municipality
-export const checkPanglaoBoundary = (address) => {
-  if (!address) return false;
-  
-  console.log('Panglao boundary check - Address details:', address);
-  
-  // Check if the location is within Panglao municipality
-  const hasPanglaoMunicipality = 
-    address.municipality === 'Panglao' ||
-    address.town === 'Panglao' ||
-    address.city === 'Panglao' ||
-    address.county === 'Panglao';
-  
-  const hasBoholProvince = 
-    address.state === 'Bohol' || 
-    address.province === 'Bohol' ||
-    address.region === 'Bohol';
-  
-  const hasCentralVisayas = 
-    address.region === 'Central Visayas' ||
-    address.region === 'Region VII';
-  
-  // Also check if the display name contains "Panglao, Bohol"
-  const displayName = address._displayName || '';
-  const hasPanglaoInDisplay = displayName.includes('Panglao, Bohol') || 
-                              displayName.includes('Panglao');
-  
-  // Official tariff applies if it's clearly in Panglao, Bohol
-  return (hasPanglaoMunicipality && hasBoholProvince) || hasPanglaoInDisplay;
+export const checkPanglaoBoundary = (address) => checkJurisdictionBoundary(address, 'panglao');
+
+// Policies for trips whose destination lies in a different jurisdiction than the origin
+export const CROSS_JURISDICTION_POLICIES = {
+  ORIGIN: 'origin',       // whole trip priced on the origin tariff
+  SPLIT: 'split',         // each jurisdiction's tariff prices the distance driven inside it
+  SURCHARGE: 'surcharge'  // origin tariff plus the origin's flat inter-town surcharge
 };
 
-// Main fare calculation function
-export const calculateFare = (distanceKm, passengerType, locationType) => {
-  let fareRates;
-  
-  // Select fare rates based on location
-  if (locationType === 'tagbilaran') {
-    fareRates = TAGBILARAN_FARE_RATES;
-    
-    // Map passenger types for Tagbilaran
-    if (passengerType === 'elderly') {
-      passengerType = 'senior'; // Map elderly to senior for Tagbilaran
-    }
-  } else {
-    fareRates = PANGLAO_FARE_RATES;
-    
-    // Map passenger types for Panglao
-    if (passengerType === 'senior') {
-      passengerType = 'elderly'; // Map senior to elderly for Panglao
+// Locate the jurisdiction a route position falls in
+const locateJurisdiction = ([lng, lat]) =>
+  getJurisdictions().find((tariff) => isWithinJurisdictionBoundary(lat, lng, tariff.id))?.id || OUTSIDE_JURISDICTION;
+
+// Split a route geometry ([lng, lat] positions) into consecutive per-jurisdiction pieces.
+// Stretches outside every tariffed jurisdiction are billed to the jurisdiction driven through before them.
+export const splitRouteByJurisdiction = (coordinates, originType, totalDistanceKm) => {
+  const pieces = [];
+  for (let i = 1; i < coordinates.length; i++) {
+    const from = coordinates[i - 1];
+    const to = coordinates[i];
+    const midpoint = [(from[0] + to[0]) / 2, (from[1] + to[1]) / 2];
+    const located = locateJurisdiction(midpoint);
+    const locationType = located === OUTSIDE_JURISDICTION
+      ? (pieces[pieces.length - 1]?.locationType || originType)
+      : located;
+    const distanceKm = haversineKm(from, to);
+
+    const last = pieces[pieces.length - 1];
+    if (last && last.locationType === locationType) {
+      last.distanceKm += distanceKm;
+    } else {
+      pieces.push({ locationType, distanceKm });
     }
   }
-  
-  // Get rates for passenger type, fallback to regular if not found
-  const rates = fareRates[passengerType] || fareRates.regular;
-  
-  let fare;
-  if (distanceKm <= 1) {
-    fare = rates.firstKm;
-  } else {
-    const remainingKm = distanceKm - 1;
-    fare = rates.firstKm + remainingKm * rates.succeedingKm;
+
+  // Scale geometry distances so the pieces add up to the routed distance
+  const measuredKm = pieces.reduce((sum, piece) => sum + piece.distanceKm, 0);
+  const scale = measuredKm > 0 && totalDistanceKm ? totalDistanceKm / measuredKm : 1;
+  return pieces.map((piece) => ({ ...piece, distanceKm: piece.distanceKm * scale }));
+};
+
+// Price a list of jurisdiction pieces; the origin's first-km rate covers the first kilometer of the trip
+const priceSegments = (pieces, passengerType, date) => {
+  let flagDownKmLeft = 1;
+
+  return pieces.map((piece, index) => {
+    const tariff = getTariff(piece.locationType);
+    const schedule = getTariffSchedule(piece.locationType, date);
+    const { classId, fallback, passengerClass, rates } = resolvePassengerClass(tariff, schedule, passengerType);
+
+    const includesFirstKm = index === 0;
+    const coveredKm = Math.min(flagDownKmLeft, piece.distanceKm);
+    flagDownKmLeft -= coveredKm;
+
+    const regularFare = distanceFare(rates, piece.distanceKm, includesFirstKm, coveredKm);
+    const discount = segmentDiscount(passengerClass.discount, regularFare, piece.distanceKm, includesFirstKm, coveredKm);
+
+    return {
+      locationType: piece.locationType,
+      name: tariff.shortName,
+      passengerType: classId,
+      passengerFallback: fallback,
+      passengerLabel: passengerClass.label,
+      passengerDiscount: passengerClass.discount || null,
+      distanceKm: piece.distanceKm,
+      chargeableKm: piece.distanceKm - coveredKm,
+      firstKmRate: includesFirstKm ? rates.firstKm : null,
+      succeedingKmRate: rates.succeedingKm,
+      regularFare,
+      discount,
+      fare: regularFare + discount
+    };
+  });
+};
+
+// Itemize the regular fare of each segment as base and distance lines
+const segmentLines = (segments) => segments.flatMap((segment) => {
+  const suffix = segments.length > 1 ? ` (${segment.name})` : '';
+  const lines = [];
+  if (segment.firstKmRate !== null) {
+    lines.push({ type: 'base', label: `First 1 km${suffix}`, amount: segment.firstKmRate });
+  }
+  if (segment.chargeableKm > 0) {
+    lines.push({
+      type: 'distance',
+      label: `${segment.firstKmRate !== null ? 'Remaining ' : ''}${segment.chargeableKm.toFixed(2)} km × ₱${segment.succeedingKmRate.toFixed(2)}/km${suffix}`,
+      amount: segment.chargeableKm * segment.succeedingKmRate
+    });
   }
+  return lines;
+});
 
-  return Math.max(fare, 0);
+// Itemize passenger discounts, merging segments that share the same discount rule
+const discountLines = (segments) => {
+  const lines = [];
+  segments.filter((segment) => segment.discount !== 0).forEach((segment) => {
+    const label = `${segment.passengerLabel} discount (${describeDiscount(segment.passengerDiscount)})`;
+    const existing = lines.find((line) => line.label === label);
+    if (existing) {
+      existing.amount += segment.discount;
+    } else {
+      lines.push({ type: 'discount', label, amount: segment.discount });
+    }
+  });
+  return lines;
 };
 
-// Get fare breakdown details
-export const getFareBreakdown = (distanceKm, passengerType, locationType) => {
-  const totalFare = calculateFare(distanceKm, passengerType, locationType);
-  let fareRates;
-  
-  if (locationType === 'tagbilaran') {
-    fareRates = TAGBILARAN_FARE_RATES;
-    if (passengerType === 'elderly') passengerType = 'senior';
-  } else {
-    fareRates = PANGLAO_FARE_RATES;
-    if (passengerType === 'senior') passengerType = 'elderly';
-  }
-  
-  const rates = fareRates[passengerType] || fareRates.regular;
-  
+// Check whether a HH:MM time falls in a window that may wrap past midnight (e.g. 22:00-05:00)
+const isWithinTimeWindow = (time, from, to) =>
+  from <= to ? time >= from && time < to : time >= from || time < to;
+
+// Check whether a surcharge rule applies to the trip context
+const surchargeApplies = (surcharge, context, tripDateTime) => {
+  switch (surcharge.type) {
+    case 'timeWindow':
+      // A bare date has no time of day, so time-based surcharges can't be judged
+      return Boolean(tripDateTime.time) && isWithinTimeWindow(tripDateTime.time, surcharge.from, surcharge.to);
+    case 'holiday':
+      // Holiday dates are either recurring (MM-DD) or one-off (YYYY-MM-DD)
+      return surcharge.dates.some((holiday) =>
+        holiday.length === 5 ? tripDateTime.date.slice(5) === holiday : tripDateTime.date === holiday
+      );
+    case 'perBag':
+      return (context.bags || 0) > (surcharge.freeBags || 0);
+    case 'specialBooking':
+      return Boolean(context.specialBooking);
+    default:
+      throw new Error(`Unknown surcharge type: ${surcharge.type}`);
+  }
+};
+
+// Itemize the schedule's surcharges that apply; percentages are taken of the discounted fare
+const surchargeLines = (surcharges, context, tripDateTime, discountedFare) =>
+  (surcharges || [])
+    .filter((surcharge) => surchargeApplies(surcharge, context, tripDateTime))
+    .map((surcharge) => {
+      if (surcharge.type === 'perBag') {
+        const chargedBags = context.bags - (surcharge.freeBags || 0);
+        return {
+          type: 'surcharge',
+          id: surcharge.id,
+          label: `${surcharge.label} (${chargedBags} × ₱${surcharge.amount.toFixed(2)})`,
+          amount: chargedBags * surcharge.amount
+        };
+      }
+
+      const amount = surcharge.percent ? discountedFare * (surcharge.percent / 100) : surcharge.amount;
+      return {
+        type: 'surcharge',
+        id: surcharge.id,
+        label: surcharge.percent ? `${surcharge.label} (+${surcharge.percent}%)` : surcharge.label,
+        amount
+      };
+    });
+
+// Work out the full fare breakdown for a trip.
+// Lines are additive: base + distance + discount + surcharge + minimum + rounding = totalFare.
+const buildFareBreakdown = (distanceKm, passengerType, locationType, options) => {
+  const tariff = getTariff(locationType);
+  const schedule = getTariffSchedule(locationType, options.date);
+  const { classId, fallback, passengerClass, rates } = resolvePassengerClass(tariff, schedule, passengerType);
+
+  const destinationType = options.destinationType || null;
+  const crossJurisdiction = Boolean(destinationType) && destinationType !== locationType;
+  const policy = crossJurisdiction
+    ? options.crossJurisdictionPolicy || schedule.interJurisdiction?.policy || CROSS_JURISDICTION_POLICIES.ORIGIN
+    : CROSS_JURISDICTION_POLICIES.ORIGIN;
+
+  if (!Object.values(CROSS_JURISDICTION_POLICIES).includes(policy)) {
+    throw new Error(`Unknown cross-jurisdiction fare policy: ${policy}`);
+  }
+
+  // The origin tariff decides how the travelled distance is billed (e.g. up to the next 0.5 km)
+  const distanceRule = schedule.rounding?.distance;
+  const billedDistanceKm = applyRounding(distanceKm, distanceRule);
+
+  const pieces = policy === CROSS_JURISDICTION_POLICIES.SPLIT && options.routeCoordinates?.length > 1
+    ? splitRouteByJurisdiction(options.routeCoordinates, locationType, billedDistanceKm)
+    : [{ locationType, distanceKm: billedDistanceKm }];
+  const segments = priceSegments(pieces, passengerType, options.date);
+
+  const lines = [...segmentLines(segments), ...discountLines(segments)];
+
+  const surcharge = policy === CROSS_JURISDICTION_POLICIES.SURCHARGE
+    ? schedule.interJurisdiction?.surcharge || 0
+    : 0;
+  if (surcharge) {
+    lines.push({ type: 'surcharge', id: 'interTown', label: 'Inter-town surcharge', amount: surcharge });
+  }
+
+  // Night, holiday, luggage and booking surcharges from the origin schedule
+  const tripDateTime = toTariffDateTime(options.date);
+  const discountedFare = segments.reduce((sum, segment) => sum + segment.fare, 0);
+  lines.push(...surchargeLines(schedule.surcharges, options, tripDateTime, discountedFare));
+
+  const subtotal = segments.reduce((sum, segment) => sum + segment.regularFare, 0);
+  let fare = Math.max(lines.reduce((sum, line) => sum + line.amount, 0), 0);
+
+  const minimumFare = passengerClass.minimumFare ?? schedule.minimumFare;
+  if (minimumFare && fare < minimumFare) {
+    lines.push({ type: 'minimum', label: `Minimum fare (₱${minimumFare.toFixed(2)})`, amount: minimumFare - fare });
+    fare = minimumFare;
+  }
+
+  const fareRule = schedule.rounding?.fare;
+  const totalFare = Math.max(applyRounding(fare, fareRule), 0);
+  if (Math.abs(totalFare - fare) > 1e-9) {
+    lines.push({
+      type: 'rounding',
+      label: `Rounded to ${describeRounding(fareRule, 'peso')}`,
+      amount: totalFare - fare
+    });
+  }
+
   return {
     totalFare,
+    subtotal,
+    lines,
     firstKmRate: rates.firstKm,
     succeedingKmRate: rates.succeedingKm,
     distance: distanceKm,
-    passengerType,
-    locationType
+    billedDistance: billedDistanceKm,
+    distanceRounding: distanceRule?.step ? describeRounding(distanceRule, 'km') : null,
+    passengerType: classId,
+    // The requested passenger type isn't offered by every tariff on the trip and was priced
+    // as the default class there
+    requestedPassengerType: passengerType,
+    passengerFallback: fallback || segments.some((segment) => segment.passengerFallback),
+    locationType,
+    destinationType,
+    crossJurisdiction,
+    policy,
+    interTownSurcharge: surcharge,
+    minimumFare: minimumFare || null,
+    segments: segments.map((segment) => ({
+      ...segment,
+      share: fare > 0 ? segment.fare / fare : 0
+    })),
+    tariffDate: tripDateTime.date,
+    tariffTime: tripDateTime.time,
+    scheduleId: schedule.id,
+    effectiveFrom: schedule.effectiveFrom,
+    effectiveTo: schedule.effectiveTo,
+    ordinance: schedule.ordinance,
+    tariffVersion: TARIFF_VERSION
   };
 };
 
-// Get jurisdiction information
-export const getJurisdictionInfo = (locationType) => {
-  if (locationType === 'tagbilaran') {
-    return {
-      name: 'Tagbilaran City, Bohol',
-      fareStructure: TAGBILARAN_FARE_RATES,
-      description: 'Official tariff fares apply for tricycles and motorcycles in Tagbilaran City, Bohol.'
-    };
-  } else if (locationType === 'panglao') {
-    return {
-      name: 'Panglao Municipality, Bohol',
-      fareStructure: PANGLAO_FARE_RATES,
-      description: 'Official tariff fares apply for tricycles and motorcycles in Panglao, Bohol.'
+// Main fare calculation function
+// options (the trip context): date (trip time; picks the schedule and defaults to now), bags,
+// specialBooking, destinationType, routeCoordinates and crossJurisdictionPolicy
+// (overrides the origin schedule's inter-town policy)
+export const calculateFare = (distanceKm, passengerType, locationType, options = {}) =>
+  buildFareBreakdown(distanceKm, passengerType, locationType, options).totalFare;
+
+// Get fare breakdown details
+export const getFareBreakdown = (distanceKm, passengerType, locationType, options = {}) =>
+  buildFareBreakdown(distanceKm, passengerType, locationType, options);
+
+// Fares for a multi-stop trip priced leg by leg, plus the trip total.
+// legs: [{ distance, coordinates, locationType, destinationType }] where locationType is the
+// jurisdiction the leg starts in; legs starting outside every tariff get no fare.
+export const calculateLegFares = (legs, passengerType, options = {}) => {
+  const legFares = legs.map((leg, index) => ({
+    index,
+    ...leg,
+    breakdown: hasTariff(leg.locationType)
+      ? buildFareBreakdown(leg.distance, passengerType, leg.locationType, {
+        ...options,
+        destinationType: leg.destinationType,
+        routeCoordinates: leg.coordinates
+      })
+      : null
+  }));
+
+  return {
+    legs: legFares,
+    totalFare: legFares.reduce((sum, leg) => sum + (leg.breakdown?.totalFare || 0), 0),
+    complete: legFares.every((leg) => leg.breakdown)
+  };
+};
+
+// Surcharges charged once per trip rather than once per passenger
+const TRIP_LEVEL_SURCHARGE_TYPES = ['perBag', 'specialBooking'];
+
+// Group fare for several passengers sharing a trip, e.g. { regular: 2, senior: 1, below5: 1 }.
+// Each passenger pays their own class fare; luggage and booking fees are charged once. Groups larger
+// than the tricycle's capacity need more than one vehicle, and the schedule's special trip (hiring
+// the whole vehicle) is priced alongside for comparison.
+export const calculateGroupFare = (distanceKm, passengers, locationType, options = {}) => {
+  const tariff = getTariff(locationType);
+  const schedule = getTariffSchedule(locationType, options.date);
+  const perPassengerOptions = { ...options, bags: 0, specialBooking: false };
+
+  const groups = [];
+  Object.entries(passengers || {})
+    .filter(([, count]) => count > 0)
+    .forEach(([passengerType, count]) => {
+      const breakdown = buildFareBreakdown(distanceKm, passengerType, locationType, perPassengerOptions);
+      const existing = groups.find((group) => group.passengerType === breakdown.passengerType);
+      if (existing) {
+        existing.count += count;
+        existing.subtotal = existing.farePerPerson * existing.count;
+        return;
+      }
+      groups.push({
+        passengerType: breakdown.passengerType,
+        label: schedule.passengerClasses[breakdown.passengerType].label,
+        count,
+        farePerPerson: breakdown.totalFare,
+        subtotal: breakdown.totalFare * count
+      });
+    });
+
+  const passengerCount = groups.reduce((sum, group) => sum + group.count, 0);
+  const capacity = schedule.vehicle?.capacity || null;
+  const vehiclesNeeded = capacity ? Math.max(1, Math.ceil(passengerCount / capacity)) : 1;
+
+  const tripCharges = surchargeLines(
+    (schedule.surcharges || []).filter((surcharge) => TRIP_LEVEL_SURCHARGE_TYPES.includes(surcharge.type)),
+    options,
+    toTariffDateTime(options.date),
+    0
+  );
+  const tripChargesTotal = tripCharges.reduce((sum, line) => sum + line.amount, 0);
+  const totalFare = groups.reduce((sum, group) => sum + group.subtotal, 0) + tripChargesTotal;
+
+  let specialTrip = null;
+  if (schedule.specialTrip) {
+    const regularFare = buildFareBreakdown(distanceKm, tariff.defaultPassengerClass, locationType, perPassengerOptions).totalFare;
+    const farePerVehicle = applyRounding(regularFare * schedule.specialTrip.multiplier, schedule.rounding?.fare);
+    specialTrip = {
+      label: schedule.specialTrip.label,
+      multiplier: schedule.specialTrip.multiplier,
+      farePerVehicle,
+      vehicles: vehiclesNeeded,
+      totalFare: farePerVehicle * vehiclesNeeded + tripChargesTotal
     };
-  } else {
+  }
+
+  return {
+    locationType,
+    distance: distanceKm,
+    passengers: groups,
+    passengerCount,
+    capacity,
+    vehiclesNeeded,
+    exceedsCapacity: Boolean(capacity) && passengerCount > capacity,
+    tripCharges,
+    totalFare,
+    specialTrip,
+    cheaperOption: specialTrip && specialTrip.totalFare < totalFare ? 'specialTrip' : 'perPassenger',
+    scheduleId: schedule.id,
+    tariffVersion: TARIFF_VERSION
+  };
+};
+
+// Get jurisdiction information for the schedule in effect on the given date
+export const getJurisdictionInfo = (locationType, date) => {
+  if (locationType === OUTSIDE_JURISDICTION) {
     return {
+      id: OUTSIDE_JURISDICTION,
       name: 'Outside Jurisdiction',
       fareStructure: null,
       description: 'Official tariff fares do not apply. Your location is outside the jurisdiction.'
     };
   }
+
+  const tariff = getTariff(locationType);
+  const schedule = getTariffSchedule(locationType, date);
+  return {
+    id: tariff.id,
+    name: tariff.name,
+    shortName: tariff.shortName,
+    theme: tariff.theme,
+    scheduleId: schedule.id,
+    effectiveFrom: schedule.effectiveFrom,
+    effectiveTo: schedule.effectiveTo,
+    ordinance: schedule.ordinance,
+    passengerClasses: schedule.selectablePassengerClasses,
+    passengerClassOptions: schedule.selectablePassengerClasses.map((id) => ({
+      id,
+      label: schedule.passengerClasses[id].label,
+      discountLabel: describeDiscount(schedule.passengerClasses[id].discount)
+    })),
+    fareStructure: schedule.passengerClasses,
+    minimumFare: schedule.minimumFare || null,
+    vehicleCapacity: schedule.vehicle?.capacity || null,
+    specialTrip: schedule.specialTrip || null,
+    surcharges: schedule.surcharges || [],
+    upcomingSchedule: getUpcomingTariffSchedule(locationType, date),
+    description: tariff.description
+  };
 };
 
-// Determine location type based on address
-export const determineLocationType = (address) => {
-  if (checkTagbilaranBoundary(address)) {
-    return 'tagbilaran';
-  } else if (checkPanglaoBoundary(address)) {
-    return 'panglao';
-  } else {
-    return 'outside';
+// Check whether raw coordinates fall inside a jurisdiction's municipal boundary
+export const isWithinJurisdictionBoundary = (lat, lng, locationType) => {
+  const geometry = BOUNDARIES.get(locationType);
+  return geometry ? pointInGeometry([lng, lat], geometry) : false;
+};
+
+// Determine location type from coordinates, using the address only as a fallback
+export const determineLocationType = (lat, lng, address = null) => {
+  const hasCoordinates = Number.isFinite(lat) && Number.isFinite(lng);
+  const jurisdictions = getJurisdictions();
+
+  if (hasCoordinates) {
+    const match = jurisdictions.find((tariff) => isWithinJurisdictionBoundary(lat, lng, tariff.id));
+    if (match) {
+      return { locationType: match.id, method: DETECTION_METHODS.POLYGON };
+    }
+  }
+
+  // Address names can be misleading (e.g. "Panglao Road" in Dauis), so without a polygon hit
+  // they only count when the point is missing or sits just outside the named boundary
+  const addressMatch = address && jurisdictions.find((tariff) => {
+    if (!checkJurisdictionBoundary(address, tariff.id)) return false;
+    if (!hasCoordinates) return true;
+    const geometry = BOUNDARIES.get(tariff.id);
+    return !geometry || distanceToGeometryEdgeKm([lng, lat], geometry) <= ADDRESS_FALLBACK_MAX_KM;
+  });
+
+  if (addressMatch) {
+    return { locationType: addressMatch.id, method: DETECTION_METHODS.ADDRESS };
   }
-};
\ No newline at end of file
+
+  return { locationType: OUTSIDE_JURISDICTION, method: hasCoordinates ? DETECTION_METHODS.POLYGON : DETECTION_METHODS.NONE };
+};
@@ -0,0 +1,102 @@
+// Geometry helpers for map coordinates
+// Positions follow GeoJSON order: [longitude, latitude]
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Great-circle distance between two positions in kilometers
+export const haversineKm = ([lng1, lat1], [lng2, lat2]) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+// Initial compass bearing from one position to another, 0-360 degrees clockwise from north
+export const bearingDegrees = ([lng1, lat1], [lng2, lat2]) => {
+  const dLng = toRadians(lng2 - lng1);
+  const y = Math.sin(dLng) * Math.cos(toRadians(lat2));
+  const x =
+    Math.cos(toRadians(lat1)) * Math.sin(toRadians(lat2)) -
+    Math.sin(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.cos(dLng);
+  return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+};
+
+// Ray-casting test against a single linear ring
+const pointInRing = ([x, y], ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    const crosses = (yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+};
+
+// Check a position against polygon rings (first ring is the outer boundary, the rest are holes)
+export const pointInPolygon = (point, rings) => {
+  if (!rings.length || !pointInRing(point, rings[0])) return false;
+  return !rings.slice(1).some((hole) => pointInRing(point, hole));
+};
+
+// Check a position against a GeoJSON Polygon or MultiPolygon geometry
+export const pointInGeometry = (point, geometry) => {
+  if (!geometry) return false;
+
+  switch (geometry.type) {
+    case 'Polygon':
+      return pointInPolygon(point, geometry.coordinates);
+    case 'MultiPolygon':
+      return geometry.coordinates.some((polygon) => pointInPolygon(point, polygon));
+    default:
+      throw new Error(`Unsupported boundary geometry: ${geometry.type}`);
+  }
+};
+
+// Closest position to `point` on the segment a-b (local flat-earth approximation).
+// Returns the position, how far along the segment it lies (t, 0 to 1) and its distance in kilometers.
+export const projectOntoSegment = (point, a, b) => {
+  const kmPerDegLat = (Math.PI * EARTH_RADIUS_KM) / 180;
+  const kmPerDegLng = kmPerDegLat * Math.cos(toRadians(point[1]));
+  const project = ([lng, lat]) => [lng * kmPerDegLng, lat * kmPerDegLat];
+
+  const [px, py] = project(point);
+  const [ax, ay] = project(a);
+  const [bx, by] = project(b);
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSq));
+
+  return {
+    position: [a[0] + t * (b[0] - a[0]), a[1] + t * (b[1] - a[1])],
+    t,
+    distanceKm: Math.hypot(px - (ax + t * dx), py - (ay + t * dy)),
+  };
+};
+
+// Distance in kilometers from a position to the segment a-b (local flat-earth approximation)
+export const distanceToSegmentKm = (point, a, b) => projectOntoSegment(point, a, b).distanceKm;
+
+// Shortest distance in kilometers from a position to a line of positions
+export const distanceToLineKm = (point, line) => {
+  if (line.length === 1) return haversineKm(point, line[0]);
+
+  let minDistance = Infinity;
+  for (let i = 1; i < line.length; i++) {
+    minDistance = Math.min(minDistance, distanceToSegmentKm(point, line[i - 1], line[i]));
+  }
+  return minDistance;
+};
+
+// Shortest distance in kilometers from a position to the edge of a Polygon or MultiPolygon
+export const distanceToGeometryEdgeKm = (point, geometry) => {
+  const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+  return Math.min(
+    ...polygons.flatMap((rings) => rings.map((ring) => distanceToLineKm(point, ring)))
+  );
+};
@@ -0,0 +1,205 @@
+// Local search over Bohol's barangays and municipalities from public/locations.json and the
+// bundled Bohol places, merged ahead of the remote geocoder's suggestions
+import { determineLocationType, getJurisdictions, OUTSIDE_JURISDICTION } from './fareCalculator';
+import { haversineKm } from './geometry';
+import {
+  getPlaces,
+  normalizePlaceText,
+  parseQuery,
+  placeDisplayName,
+  scoreMatch,
+  searchTerms,
+  toGeocodingResult,
+} from './placeIndex';
+import { baseName, loadLocations, municipalityKey, withoutCity } from './locations';
+
+// The app prices trips in Bohol, so only its places are indexed; the rest of the country's
+// ~42k barangays would only slow every keystroke down
+const HOME_PROVINCE = 'Bohol';
+
+// Ranking nudges on top of the text match score
+const TYPE_BONUS = { poi: 0.5, municipality: 0.3, barangay: 0 };
+// Barangays with bundled coordinates can be routed to without another lookup
+const LOCATED_BONUS = 0.2;
+
+// Remote results this close to a same-named local hit are treated as the same place
+const DUPLICATE_KM = 1;
+
+const placeKey = (name, municipality) => `${normalizePlaceText(baseName(name))}|${municipalityKey(municipality)}`;
+
+// Bundled barangay centroids, keyed for attaching coordinates to locations.json entries
+const bundledBarangays = () => getPlaces().filter((place) => place.type === 'barangay');
+
+const indexEntry = ({ name, type, municipality = null, province, region = null, position = null }) => ({
+  name,
+  type,
+  municipality,
+  province,
+  region,
+  position,
+  ...searchTerms(
+    [name, baseName(name), ...(type === 'municipality' ? [withoutCity(baseName(name))] : [])],
+    [municipality, province]
+  ),
+});
+
+// Flatten Bohol's municipalities and barangays into searchable entries
+const buildJurisdictionIndex = (regions) => {
+  const positions = new Map(bundledBarangays().map((place) => [placeKey(place.name, place.municipality), place.position]));
+  const isHomeProvince = ({ name }) => normalizePlaceText(name) === normalizePlaceText(HOME_PROVINCE);
+  const entries = [];
+
+  regions.forEach(({ name: region, provinces }) => {
+    provinces.filter(isHomeProvince).forEach(({ name: province, municipalities }) => {
+      municipalities.forEach(({ name: municipality, barangays }) => {
+        entries.push(indexEntry({ name: municipality, type: 'municipality', province, region }));
+        barangays.forEach((name) => {
+          entries.push(indexEntry({
+            name,
+            type: 'barangay',
+            municipality,
+            province,
+            region,
+            position: positions.get(placeKey(name, municipality)) || null,
+          }));
+        });
+      });
+    });
+  });
+
+  return entries;
+};
+
+let jurisdictionsPromise = null;
+
+// Index locations.json once; a failed load is retried on the next search
+export const loadJurisdictions = () => {
+  if (!jurisdictionsPromise) {
+    jurisdictionsPromise = loadLocations()
+      .then(buildJurisdictionIndex)
+      .catch((error) => {
+        jurisdictionsPromise = null;
+        throw error;
+      });
+  }
+  return jurisdictionsPromise;
+};
+
+// Without locations.json, fall back to the bundled Bohol barangays
+const fallbackJurisdictions = () =>
+  bundledBarangays().map((place) =>
+    indexEntry({ name: place.name, type: 'barangay', municipality: place.municipality, province: HOME_PROVINCE, position: place.position })
+  );
+
+// Fare jurisdiction id (see tariffs.json) a place is priced under: the boundary polygons decide
+// for places with coordinates, the municipality name for the rest
+const fareJurisdictionOf = (position, municipality) => {
+  if (position) return determineLocationType(position[1], position[0]).locationType;
+  const key = municipalityKey(municipality);
+  const tariff = getJurisdictions().find(({ addressNames }) => addressNames.some((name) => municipalityKey(name) === key));
+  return tariff ? tariff.id : OUTSIDE_JURISDICTION;
+};
+
+const jurisdictionResult = (entry) => {
+  const isBarangay = entry.type === 'barangay';
+  return {
+    id: `local:${entry.type}:${entry.province}:${entry.municipality || ''}:${entry.name}`,
+    name: entry.name,
+    fullAddress: [entry.name, entry.municipality, entry.province, 'Philippines'].filter(Boolean).join(', '),
+    lat: entry.position ? entry.position[1] : null,
+    lng: entry.position ? entry.position[0] : null,
+    type: isBarangay ? 'village' : 'town',
+    class: 'place',
+    address: isBarangay
+      ? { village: entry.name, town: entry.municipality, state: entry.province, country: 'Philippines' }
+      : { town: entry.name, state: entry.province, country: 'Philippines' },
+    source: 'local',
+    kind: entry.type,
+    jurisdiction: { municipality: entry.municipality, province: entry.province, region: entry.region },
+    fareJurisdiction: fareJurisdictionOf(entry.position, entry.municipality || entry.name),
+  };
+};
+
+const poiResult = (place) => ({
+  ...toGeocodingResult(place),
+  id: `local:poi:${place.key}`,
+  fullAddress: placeDisplayName(place),
+  source: 'local',
+  kind: 'poi',
+  category: place.category,
+  jurisdiction: { barangay: place.barangay, municipality: place.municipality, province: HOME_PROVINCE, region: null },
+  fareJurisdiction: fareJurisdictionOf(place.position, place.municipality),
+});
+
+// Fuzzy-match Bohol's barangays, municipalities and bundled points of interest. Results use the
+// normalized geocoding shape plus `source: 'local'`, `kind`, the containing administrative
+// areas as `jurisdiction` and the fare jurisdiction id (or OUTSIDE_JURISDICTION) as
+// `fareJurisdiction`; barangays and municipalities without bundled coordinates have lat/lng
+// null (see resolveLocalResult). Callers debounce typing (see RouteFinder).
+export const searchLocalPlaces = async (query, limit = 5) => {
+  const parsed = parseQuery(query);
+  if (!parsed) return [];
+
+  let jurisdictions;
+  try {
+    jurisdictions = await loadJurisdictions();
+  } catch (error) {
+    console.warn('Local place index unavailable, using bundled barangays:', error);
+    jurisdictions = fallbackJurisdictions();
+  }
+
+  const rank = (entries, toResult) =>
+    entries.flatMap((entry) => {
+      const score = scoreMatch(entry, parsed.queryText, parsed.queryTokens);
+      if (!score) return [];
+      return [{
+        score: score
+          + TYPE_BONUS[entry.type]
+          + (entry.type !== 'poi' && entry.position ? LOCATED_BONUS : 0),
+        name: entry.name,
+        toResult: () => toResult(entry),
+      }];
+    });
+
+  return [
+    ...rank(getPlaces().filter((place) => place.type === 'poi'), poiResult),
+    ...rank(jurisdictions, jurisdictionResult),
+  ]
+    .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name))
+    .slice(0, limit)
+    .map(({ toResult }) => toResult());
+};
+
+// Containing jurisdictions of a local result, e.g. "Tawala, Panglao, Bohol"
+export const formatJurisdiction = ({ jurisdiction }) =>
+  jurisdiction
+    ? [jurisdiction.barangay, jurisdiction.municipality, jurisdiction.province].filter(Boolean).join(', ')
+    : '';
+
+const isSamePlace = (local, remote) => {
+  if (normalizePlaceText(local.name) !== normalizePlaceText(remote.name)) return false;
+  if (local.lat === null) {
+    const remoteAddress = normalizePlaceText(remote.fullAddress);
+    return [local.jurisdiction.municipality, local.jurisdiction.province]
+      .filter(Boolean)
+      .every((part) => remoteAddress.includes(municipalityKey(part)));
+  }
+  return haversineKm([local.lng, local.lat], [remote.lng, remote.lat]) <= DUPLICATE_KM;
+};
+
+// Local hits first, then remote results that aren't the same place again
+export const mergeSearchResults = (localResults, remoteResults) => [
+  ...localResults,
+  ...remoteResults.filter((remote) => !localResults.some((local) => isSamePlace(local, remote))),
+];
+
+// Coordinates for a local result that has none, from the remote geocoder
+export const resolveLocalResult = async (result, geocode) => {
+  if (result.lat !== null && result.lng !== null) return result;
+
+  const [match] = await geocode(result.fullAddress);
+  if (!match) {
+    throw new Error(`Could not find ${result.name} on the map`);
+  }
+  return { ...result, lat: match.lat, lng: match.lng };
+};
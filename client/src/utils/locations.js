@@ -0,0 +1,92 @@
+// PSGC region → province → municipality → barangay hierarchy from public/locations.json
+import { normalizePlaceText } from './placeIndex';
+
+const LOCATIONS_URL = '/locations.json';
+
+// locations.json only carries "REGION VII"-style labels
+const REGION_NAMES = {
+  '01': 'Ilocos Region',
+  '02': 'Cagayan Valley',
+  '03': 'Central Luzon',
+  '4A': 'CALABARZON',
+  '4B': 'MIMAROPA',
+  '05': 'Bicol Region',
+  '06': 'Western Visayas',
+  '07': 'Central Visayas',
+  '08': 'Eastern Visayas',
+  '09': 'Zamboanga Peninsula',
+  '10': 'Northern Mindanao',
+  '11': 'Davao Region',
+  '12': 'SOCCSKSARGEN',
+  '13': 'Caraga',
+  BARMM: 'Bangsamoro Autonomous Region in Muslim Mindanao',
+  CAR: 'Cordillera Administrative Region',
+  NCR: 'National Capital Region',
+};
+
+const LOWERCASE_WORDS = new Set(['de', 'del', 'of', 'ng', 'y']);
+
+// locations.json names are uppercase ("BIL-ISAN", "SAGBAYAN (BORJA)")
+export const titleCase = (text) =>
+  text
+    .toLowerCase()
+    .replace(/(^|[\s(])(\p{L}+)/gu, (match, prefix, word) =>
+      prefix + (prefix === ' ' && LOWERCASE_WORDS.has(word) ? word : word[0].toUpperCase() + word.slice(1))
+    );
+
+// "San Isidro (Canlongon)" is also known as plain "San Isidro"
+export const baseName = (name) => name.replace(/\s*\(.*?\)\s*/g, ' ').trim();
+
+// "Tagbilaran City" and "City of Talisay" are also known as plain "Tagbilaran" and "Talisay"
+export const withoutCity = (name) => name.replace(/^city of /i, '').replace(/ city$/i, '');
+
+// Municipality key shared by locations.json ("TAGBILARAN CITY"), the bundled data ("Tagbilaran")
+// and geocoders ("City of Tagbilaran")
+export const municipalityKey = (name) => normalizePlaceText(withoutCity(baseName(name || '')));
+
+// Keys a PSGC name can be matched by: the full name, the name without its parenthetical,
+// and the parenthetical alone ("Sagbayan (Borja)" → "sagbayan borja", "sagbayan", "borja")
+export const nameKeys = (name) => {
+  const aside = name.match(/\((.*?)\)/);
+  return [...new Set([
+    normalizePlaceText(name),
+    municipalityKey(name),
+    ...(aside ? [normalizePlaceText(aside[1])] : []),
+  ])].filter(Boolean);
+};
+
+const buildHierarchy = (data) =>
+  Object.entries(data).map(([code, { region_name: label, province_list: provinces }]) => ({
+    code,
+    name: REGION_NAMES[code] || label,
+    label,
+    provinces: Object.entries(provinces).map(([provinceName, { municipality_list: municipalities }]) => ({
+      name: titleCase(provinceName),
+      municipalities: Object.entries(municipalities).map(([municipalityName, { barangay_list: barangays }]) => ({
+        name: titleCase(municipalityName),
+        barangays: barangays.map(titleCase),
+      })),
+    })),
+  }));
+
+let locationsPromise = null;
+
+// Load locations.json once as [{ code, name, label, provinces: [{ name, municipalities:
+// [{ name, barangays }] }] }] with title-cased names; a failed load is retried on the next call
+export const loadLocations = () => {
+  if (!locationsPromise) {
+    locationsPromise = fetch(LOCATIONS_URL)
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`Failed to load ${LOCATIONS_URL}: ${response.status}`);
+        }
+        return response.json();
+      })
+      .then(buildHierarchy)
+      .catch((error) => {
+        locationsPromise = null;
+        throw error;
+      });
+  }
+  return locationsPromise;
+};
@@ -0,0 +1,285 @@
+// Map provider plugins for geocoding, routing and map tiles.
+// Each provider registers a factory that receives its options (e.g. a self-hosted base URL)
+// and returns the URL builders and response normalizers MapService calls.
+//
+// geocoding: { searchUrl(query), reverseUrl(lat, lng, zoom), normalizeSearch(data), normalizeReverse(data) }
+// routing:   { routeUrl(waypoints, { alternatives, profile }), normalizeRoute(data) }
+//            Routes carry `steps` (see directions.js) for turn-by-turn directions.
+// tiles:     { url, attribution }
+//
+// Providers that answer locally implement search(query) / reverse(lat, lng, zoom) or
+// route(waypoints, options) instead and return normalized results directly.
+// Routing providers accept every profile id in ROUTING_PROFILES.
+import { flattenLegSteps } from './directions';
+import { routeOffline } from './offlineRouter';
+import { reverseGeocodePlace, searchPlaces, toGeocodingResult } from './placeIndex';
+
+const PROVIDER_KINDS = ['geocoding', 'routing', 'tiles'];
+
+const registry = Object.fromEntries(PROVIDER_KINDS.map((kind) => [kind, new Map()]));
+
+// Register a provider factory for a capability ('geocoding', 'routing' or 'tiles')
+export const registerMapProvider = (kind, id, factory) => {
+  if (!registry[kind]) {
+    throw new Error(`Unknown map provider kind: ${kind}`);
+  }
+  registry[kind].set(id, factory);
+};
+
+// Ids of the providers registered for a capability
+export const listMapProviders = (kind) => Array.from(registry[kind]?.keys() || []);
+
+// Instantiate a registered provider with its options
+export const createMapProvider = (kind, id, options = {}) => {
+  const factory = registry[kind]?.get(id);
+  if (!factory) {
+    throw new Error(`Unsupported ${kind} provider: ${id}`);
+  }
+  return { id, ...factory(options) };
+};
+
+// Vehicles a route can be planned for. Fares are always priced on the tricycle route, the
+// vehicle the LGU tariffs regulate; the others are for comparison.
+export const ROUTING_PROFILES = [
+  { id: 'tricycle', label: 'Tricycle', icon: '🛺' },
+  { id: 'motorcycle', label: 'Motorcycle', icon: '🏍️' },
+  { id: 'car', label: 'Car', icon: '🚗' },
+  { id: 'walking', label: 'Walking', icon: '🚶' },
+];
+
+export const FARE_ROUTING_PROFILE = 'tricycle';
+
+export const getRoutingProfile = (id) => ROUTING_PROFILES.find((profile) => profile.id === id);
+
+const env = import.meta.env;
+
+// Per-profile OSRM overrides from VITE_OSRM_PROFILES, e.g. {"tricycle":{"profile":"tricycle"}}
+// for a self-hosted server running a tricycle profile, or {"walking":{"baseUrl":"..."}} for a
+// separate foot server
+const parseJsonEnv = (name) => {
+  if (!env[name]) return undefined;
+  try {
+    return JSON.parse(env[name]);
+  } catch (error) {
+    console.warn(`Ignoring ${name}: not valid JSON`, error);
+    return undefined;
+  }
+};
+
+// Provider selection and self-hosted base URLs from the Vite env (see vite-env.d.ts)
+export const MAP_PROVIDER_CONFIG = {
+  geocoding: env.VITE_GEOCODING_PROVIDER || 'nominatim', // 'offline' skips the network entirely
+  routing: env.VITE_ROUTING_PROVIDER || 'osrm',
+  tiles: env.VITE_TILE_PROVIDER || 'osm',
+  options: {
+    nominatim: { baseUrl: env.VITE_NOMINATIM_URL },
+    photon: { baseUrl: env.VITE_PHOTON_URL },
+    osrm: { baseUrl: env.VITE_OSRM_URL, profiles: parseJsonEnv('VITE_OSRM_PROFILES') },
+    osm: { url: env.VITE_TILE_URL, attribution: env.VITE_TILE_ATTRIBUTION },
+  },
+};
+
+const trimSlash = (url) => url.replace(/\/+$/, '');
+
+// Nominatim geocoding (public server or self-hosted)
+registerMapProvider('geocoding', 'nominatim', ({ baseUrl = 'https://nominatim.openstreetmap.org' } = {}) => {
+  const base = trimSlash(baseUrl);
+  return {
+    searchUrl: (query) =>
+      `${base}/search?q=${encodeURIComponent(query)}&format=json&limit=5&addressdetails=1`,
+    reverseUrl: (lat, lng, zoom = 18) =>
+      `${base}/reverse?format=json&lat=${lat}&lon=${lng}&addressdetails=1&zoom=${zoom}`,
+    normalizeSearch: (data) =>
+      data.map((result, index) => ({
+        id: index,
+        name: result.display_name.split(',')[0].trim(),
+        fullAddress: result.display_name,
+        lat: parseFloat(result.lat),
+        lng: parseFloat(result.lon),
+        type: result.type,
+        class: result.class,
+        address: result.address || {}
+      })),
+    normalizeReverse: (data) => ({
+      address: data.address || {},
+      displayName: data.display_name,
+      lat: parseFloat(data.lat),
+      lon: parseFloat(data.lon)
+    }),
+  };
+});
+
+// Map a Photon feature's properties onto the Nominatim address keys the app reads
+const photonAddress = (properties) => ({
+  house_number: properties.housenumber,
+  road: properties.street,
+  suburb: properties.district,
+  village: properties.locality,
+  city: properties.city,
+  county: properties.county,
+  state: properties.state,
+  postcode: properties.postcode,
+  country: properties.country,
+  country_code: properties.countrycode?.toLowerCase(),
+});
+
+const photonDisplayName = (properties) =>
+  [
+    properties.name,
+    [properties.housenumber, properties.street].filter(Boolean).join(' '),
+    properties.locality,
+    properties.district,
+    properties.city,
+    properties.county,
+    properties.state,
+    properties.postcode,
+    properties.country,
+  ]
+    .filter((part, index, parts) => part && parts.indexOf(part) === index)
+    .join(', ');
+
+// Photon geocoding (komoot's public server or self-hosted)
+registerMapProvider('geocoding', 'photon', ({ baseUrl = 'https://photon.komoot.io' } = {}) => {
+  const base = trimSlash(baseUrl);
+  return {
+    searchUrl: (query) => `${base}/api/?q=${encodeURIComponent(query)}&limit=5`,
+    // Photon has no zoom levels; it always returns the nearest feature
+    reverseUrl: (lat, lng) => `${base}/reverse?lat=${lat}&lon=${lng}`,
+    normalizeSearch: (data) =>
+      (data.features || []).map((feature, index) => {
+        const fullAddress = photonDisplayName(feature.properties);
+        return {
+          id: index,
+          name: feature.properties.name || fullAddress.split(',')[0].trim(),
+          fullAddress,
+          lat: feature.geometry.coordinates[1],
+          lng: feature.geometry.coordinates[0],
+          type: feature.properties.osm_value,
+          class: feature.properties.osm_key,
+          address: photonAddress(feature.properties)
+        };
+      }),
+    normalizeReverse: (data) => {
+      const feature = data.features?.[0];
+      if (!feature) {
+        throw new Error('No address found');
+      }
+      return {
+        address: photonAddress(feature.properties),
+        displayName: photonDisplayName(feature.properties),
+        lat: feature.geometry.coordinates[1],
+        lon: feature.geometry.coordinates[0]
+      };
+    },
+  };
+});
+
+// A maneuver with the stretch of road driven after it
+const normalizeOsrmStep = (step) => ({
+  type: step.maneuver.type,
+  modifier: step.maneuver.modifier || null,
+  name: step.name || step.ref || null,
+  distance: step.distance / 1000,
+  duration: step.duration / 60,
+  bearingBefore: step.maneuver.bearing_before,
+  bearingAfter: step.maneuver.bearing_after,
+  location: step.maneuver.location,
+  coordinates: step.geometry?.coordinates || [step.maneuver.location],
+  exit: step.maneuver.exit || null,
+});
+
+// A leg's line joined from its steps' geometries. Each step starts where the previous one
+// ended (the arrival step is a single repeated point), so repeated positions are dropped.
+// Null when the response has no step geometry.
+const joinStepGeometries = (steps = []) => {
+  const coordinates = steps
+    .flatMap((step) => step.geometry?.coordinates || [])
+    .filter((position, index, all) => index === 0 || position[0] !== all[index - 1][0] || position[1] !== all[index - 1][1]);
+  return coordinates.length > 1 ? coordinates : null;
+};
+
+const normalizeOsrmRoute = (routeInfo) => {
+  const coordinates = routeInfo.geometry.coordinates;
+  const legs = routeInfo.legs.map((leg) => ({
+    distance: leg.distance / 1000,
+    duration: leg.duration / 60,
+    coordinates: joinStepGeometries(leg.steps) || coordinates,
+    steps: (leg.steps || []).map(normalizeOsrmStep),
+  }));
+  return {
+    distance: routeInfo.distance / 1000, // Convert to km
+    duration: routeInfo.duration / 60,   // Convert to minutes
+    coordinates,
+    legs,
+    steps: flattenLegSteps(legs),
+  };
+};
+
+const PUBLIC_OSRM_URL = 'https://router.project-osrm.org';
+// The demo server has no foot profile; walking goes to the FOSSGIS foot router alongside it
+const PUBLIC_OSRM_FOOT_URL = 'https://routing.openstreetmap.de/routed-foot';
+
+// OSRM profile, exclude classes and optional server for each routing profile. The public demo
+// server only routes cars, so motorcycles and tricycles get the car route there (Bohol's
+// national roads are trunk and primary roads, which no exclude class can skip). Keeping
+// tricycles off national highways needs a self-hosted server with its own tricycle profile,
+// mapped through VITE_OSRM_PROFILES; the offline router applies the restriction on its own.
+const OSRM_DEFAULT_PROFILES = {
+  car: { profile: 'driving' },
+  motorcycle: { profile: 'driving' },
+  tricycle: { profile: 'driving' },
+  walking: { profile: 'foot' },
+};
+
+// OSRM routing (public demo server or self-hosted)
+registerMapProvider('routing', 'osrm', ({ baseUrl = PUBLIC_OSRM_URL, profiles = {} } = {}) => {
+  const base = trimSlash(baseUrl);
+  // Overrides replace single settings, so a profile can point at its own server with just a baseUrl
+  const profileOptions = Object.fromEntries(
+    [...new Set([...Object.keys(OSRM_DEFAULT_PROFILES), ...Object.keys(profiles)])].map((id) => [
+      id,
+      { ...OSRM_DEFAULT_PROFILES[id], ...profiles[id] },
+    ])
+  );
+  if (base === PUBLIC_OSRM_URL && !profileOptions.walking.baseUrl) {
+    profileOptions.walking.baseUrl = PUBLIC_OSRM_FOOT_URL;
+  }
+  return {
+    // Vehicles this server can only route as cars (on the public server, tricycles and motorcycles)
+    routesAsCar: (profile) => profile !== 'car' && profileOptions[profile]?.profile === 'driving',
+    routeUrl: (waypoints, { alternatives = false, profile = FARE_ROUTING_PROFILE } = {}) => {
+      const options = profileOptions[profile];
+      if (!options) {
+        throw new Error(`Unsupported routing profile: ${profile}`);
+      }
+      const coordinates = waypoints.map(({ lat, lng }) => `${lng},${lat}`).join(';');
+      const exclude = options.exclude?.length ? `&exclude=${options.exclude.join(',')}` : '';
+      return `${trimSlash(options.baseUrl || base)}/route/v1/${options.profile}/${coordinates}?overview=full&geometries=geojson&steps=true${alternatives ? '&alternatives=true' : ''}${exclude}`;
+    },
+    // Returns the primary route with any alternatives in the same shape under `alternatives`
+    normalizeRoute: (data) => {
+      if (data.routes && data.routes.length > 0) {
+        const [primary, ...alternatives] = data.routes.map((routeInfo) => normalizeOsrmRoute(routeInfo));
+        return { ...primary, alternatives };
+      }
+      throw new Error('No route found');
+    },
+  };
+});
+
+// Bundled Bohol places (barangays and common destinations), searchable without a connection
+registerMapProvider('geocoding', 'offline', () => ({
+  search: (query) => searchPlaces(query).map(toGeocodingResult),
+  reverse: (lat, lng) => reverseGeocodePlace(lat, lng),
+}));
+
+// Shortest paths over the bundled Tagbilaran/Dauis/Panglao road graph
+registerMapProvider('routing', 'offline', () => ({
+  route: (waypoints, { profile = FARE_ROUTING_PROFILE } = {}) => routeOffline(waypoints, { profile }),
+}));
+
+// OpenStreetMap raster tiles (or any XYZ tile server)
+registerMapProvider('tiles', 'osm', ({
+  url = 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+  attribution = '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+} = {}) => ({ url, attribution }));
@@ -1,73 +1,94 @@
 // Map API abstraction layer
+import { createMapProvider, FARE_ROUTING_PROFILE, MAP_PROVIDER_CONFIG } from './mapProviders';
+import { RequestQueue, fetchJsonWithRetry, isSupersededRequest } from './requestQueue';
+import { ResponseCache } from './responseCache';
+
+// Nominatim's usage policy allows one request per second; the OSRM demo server asks the same
+const REQUEST_INTERVAL_MS = 1000;
+
+// How long responses stay cached
+const CACHE_TTL_MS = {
+  geocoding: 7 * 24 * 60 * 60 * 1000,
+  routing: 24 * 60 * 60 * 1000,
+};
+
+// Reverse geocoding is keyed by coordinates rounded to about 11 m
+const REVERSE_GEOCODE_PRECISION = 4;
+
+// The device reports no network connection
+const isOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false;
+
+// Failures that mean the provider couldn't be reached, as opposed to a bad request or no result
+const isConnectivityError = (error) =>
+  error instanceof TypeError || error?.name === 'RequestFailedError';
+
+// Named provider combinations accepted by setProvider
+const PROVIDER_PRESETS = {
+  OSM: { geocoding: 'nominatim', routing: 'osrm', tiles: 'osm' },
+};
+
 class MapService {
-  constructor(provider = 'OSM') {
-    this.provider = provider;
+  constructor(provider = MAP_PROVIDER_CONFIG) {
+    this.queues = {
+      geocoding: new RequestQueue({ minIntervalMs: REQUEST_INTERVAL_MS }),
+      routing: new RequestQueue({ minIntervalMs: REQUEST_INTERVAL_MS }),
+    };
+    this.cache = new ResponseCache({ maxEntries: 300 });
+    this.inFlight = new Map(); // request URL -> pending response promise
+    this.requestStats = { network: 0, deduped: 0, retries: 0, offline: 0 };
+    // Bundled providers answer when the configured ones can't be reached
+    this.offline = {
+      geocoding: createMapProvider('geocoding', 'offline'),
+      routing: createMapProvider('routing', 'offline'),
+    };
     this.setProvider(provider);
   }
 
+  // Accepts a preset name ('OSM') or { geocoding, routing, tiles, options } where each
+  // capability names a registered provider and options holds per-provider settings
+  // such as self-hosted base URLs
   setProvider(provider) {
-    this.provider = provider;
-    
-    switch(provider) {
-      case 'OSM':
-        this.config = {
-          geocoding: {
-            search: (query) => 
-              `https://nominatim.openstreetmap.org/search?q=${encodeURIComponent(query)}&format=json&limit=5&addressdetails=1`,
-            reverse: (lat, lng, zoom = 18) =>
-              `https://nominatim.openstreetmap.org/reverse?format=json&lat=${lat}&lon=${lng}&addressdetails=1&zoom=${zoom}`
-          },
-          routing: {
-            route: (startLng, startLat, endLng, endLat) =>
-              `https://router.project-osrm.org/route/v1/driving/${startLng},${startLat};${endLng},${endLat}?overview=full&geometries=geojson`
-          },
-          tiles: {
-            url: "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png",
-            attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
-          }
-        };
-        break;
-      
-      // We can add Google Maps later like this:
-    //   case 'GOOGLE':
-    //     this.config = {
-    //       geocoding: {
-    //         search: (query) => 
-    //           `https://maps.googleapis.com/maps/api/geocode/json?address=${encodeURIComponent(query)}&key=${process.env.REACT_APP_GOOGLE_API_KEY}`,
-    //         reverse: (lat, lng) =>
-    //           `https://maps.googleapis.com/maps/api/geocode/json?latlng=${lat},${lng}&key=${process.env.REACT_APP_GOOGLE_API_KEY}`
-    //       },
-    //       routing: {
-    //         // Google Directions API format
-    //       },
-    //       tiles: {
-    //         // Google Maps tiles configuration
-    //       }
-    //     };
-    //     break;
-      
-      default:
-        throw new Error(`Unsupported map provider: ${provider}`);
+    const selection = typeof provider === 'string' ? PROVIDER_PRESETS[provider] : provider;
+    if (!selection) {
+      throw new Error(`Unsupported map provider: ${provider}`);
     }
+
+    const options = selection.options || MAP_PROVIDER_CONFIG.options;
+    this.provider = provider;
+    this.geocoder = createMapProvider('geocoding', selection.geocoding, options[selection.geocoding]);
+    this.router = createMapProvider('routing', selection.routing, options[selection.routing]);
+    this.tiles = createMapProvider('tiles', selection.tiles, options[selection.tiles]);
   }
 
   // Geocoding methods
-  async searchLocation(query) {
+  // Searches share a queue channel (destination typeahead by default) so a newer query
+  // replaces one still waiting its turn
+  async searchLocation(query, { channel = 'search' } = {}) {
     try {
-      const response = await fetch(this.config.geocoding.search(query));
-      const data = await response.json();
-      return this._normalizeGeocodingResponse(data);
+      const normalizedQuery = query.trim().replace(/\s+/g, ' ').toLowerCase();
+      return await this._withOfflineFallback('geocoding', async (geocoder) => {
+        if (geocoder.search) return geocoder.search(normalizedQuery);
+        const data = await this._request('geocoding', geocoder.searchUrl(normalizedQuery), { channel });
+        return geocoder.normalizeSearch(data);
+      });
     } catch (error) {
-      console.error('Geocoding error:', error);
+      if (!isSupersededRequest(error)) console.error('Geocoding error:', error);
       throw error;
     }
   }
 
   async reverseGeocode(lat, lng, zoom = 18) {
     try {
-      const response = await fetch(this.config.geocoding.reverse(lat, lng, zoom));
-      const data = await response.json();
-      return this._normalizeReverseGeocodingResponse(data);
+      return await this._withOfflineFallback('geocoding', async (geocoder) => {
+        if (geocoder.reverse) return geocoder.reverse(lat, lng, zoom);
+        const url = geocoder.reverseUrl(
+          lat.toFixed(REVERSE_GEOCODE_PRECISION),
+          lng.toFixed(REVERSE_GEOCODE_PRECISION),
+          zoom
+        );
+        const data = await this._request('geocoding', url);
+        return geocoder.normalizeReverse(data);
+      });
     } catch (error) {
       console.error('Reverse geocoding error:', error);
       throw error;
@@ -75,68 +96,115 @@ class MapService {
   }
 
   // Routing methods
-  async calculateRoute(startLat, startLng, endLat, endLng) {
+  // Accepts an ordered list of waypoints ({ lat, lng } or [lat, lng]) with optional
+  // { profile } (a ROUTING_PROFILES id, tricycle by default), or the legacy
+  // (startLat, startLng, endLat, endLng) arguments for a single tricycle leg.
+  // Alternative routes are only requested for two-waypoint trips; OSRM doesn't search
+  // for alternatives through intermediate stops
+  async calculateRoute(...args) {
+    const waypoints = this._toWaypoints(args);
+    if (waypoints.length < 2) {
+      throw new Error('A route needs at least two waypoints');
+    }
+    const { profile = FARE_ROUTING_PROFILE } = (Array.isArray(args[0]) && args[1]) || {};
+
     try {
-      const response = await fetch(this.config.routing.route(startLng, startLat, endLng, endLat));
-      const data = await response.json();
-      return this._normalizeRoutingResponse(data);
+      const options = { alternatives: waypoints.length === 2, profile };
+      const routeInfo = await this._withOfflineFallback('routing', async (router) => {
+        // carRoute: the provider has no road rules for this vehicle and routed it as a car
+        const carRoute = Boolean(router.routesAsCar?.(profile));
+        if (router.route) return { ...(await router.route(waypoints, options)), carRoute };
+        const data = await this._request('routing', router.routeUrl(waypoints, options));
+        return { ...router.normalizeRoute(data), carRoute };
+      });
+      const tags = { profile, carRoute: routeInfo.carRoute };
+      return { ...routeInfo, ...tags, alternatives: (routeInfo.alternatives || []).map((alternative) => ({ ...alternative, ...tags })) };
     } catch (error) {
       console.error('Routing error:', error);
       throw error;
     }
   }
 
-  // Response normalization for OSM
-  _normalizeGeocodingResponse(data) {
-    if (this.provider === 'OSM') {
-      return data.map((result, index) => ({
-        id: index,
-        name: result.display_name.split(',')[0].trim(),
-        fullAddress: result.display_name,
-        lat: parseFloat(result.lat),
-        lng: parseFloat(result.lon),
-        type: result.type,
-        class: result.class,
-        address: result.address || {}
-      }));
+  // Call the configured provider, switching to the bundled offline provider when the device
+  // is offline or the provider can't be reached
+  async _withOfflineFallback(kind, call) {
+    const provider = kind === 'geocoding' ? this.geocoder : this.router;
+    const offlineProvider = this.offline[kind];
+    if (provider.id === offlineProvider.id) {
+      return call(provider);
+    }
+
+    if (!isOffline()) {
+      try {
+        return await call(provider);
+      } catch (error) {
+        if (!isConnectivityError(error)) throw error;
+        console.warn(`${provider.id} is unreachable, using offline ${kind}:`, error);
+      }
     }
-    // Add other providers here later
-    return data;
+
+    this.requestStats.offline++;
+    return call(offlineProvider);
   }
 
-  _normalizeReverseGeocodingResponse(data) {
-    if (this.provider === 'OSM') {
-      return {
-        address: data.address || {},
-        displayName: data.display_name,
-        lat: parseFloat(data.lat),
-        lon: parseFloat(data.lon)
-      };
+  // Fetch a provider URL through the cache, in-flight dedup and the rate-limited queue.
+  // Only successful responses are cached; raw data is stored so normalizers run on every call.
+  async _request(kind, url, { channel } = {}) {
+    if (this.inFlight.has(url)) {
+      this.requestStats.deduped++;
+      return this.inFlight.get(url);
     }
-    return data;
+
+    const request = (async () => {
+      const cached = await this.cache.get(url);
+      if (cached !== undefined) return cached;
+
+      const { ok, data } = await this.queues[kind].schedule(() => {
+        this.requestStats.network++;
+        return fetchJsonWithRetry(url, {
+          onRetry: () => {
+            this.requestStats.retries++;
+          },
+        });
+      }, { channel });
+      if (ok) this.cache.set(url, data, CACHE_TTL_MS[kind]);
+      return data;
+    })().finally(() => this.inFlight.delete(url));
+
+    this.inFlight.set(url, request);
+    return request;
   }
 
-  _normalizeRoutingResponse(data) {
-    if (this.provider === 'OSM') {
-      if (data.routes && data.routes.length > 0) {
-        const routeInfo = data.routes[0];
-        return {
-          distance: routeInfo.distance / 1000, // Convert to km
-          duration: routeInfo.duration / 60,   // Convert to minutes
-          coordinates: routeInfo.geometry.coordinates,
-        };
-      }
-      throw new Error('No route found');
+  // Cache and request counters, e.g. for a diagnostics panel
+  getCacheStats() {
+    return {
+      ...this.cache.getStats(),
+      ...this.requestStats,
+      queued: this.queues.geocoding.size + this.queues.routing.size,
+      inFlight: this.inFlight.size,
+    };
+  }
+
+  clearCache() {
+    return this.cache.clear();
+  }
+
+  _toWaypoints(args) {
+    if (args.length === 4 && args.every((value) => typeof value === 'number')) {
+      const [startLat, startLng, endLat, endLng] = args;
+      return [{ lat: startLat, lng: startLng }, { lat: endLat, lng: endLng }];
     }
-    return data;
+    return (args[0] || []).map((point) =>
+      Array.isArray(point) ? { lat: point[0], lng: point[1] } : { lat: point.lat, lng: point.lng }
+    );
   }
 
   // Get map tile configuration
   getTileConfig() {
-    return this.config.tiles;
+    return { url: this.tiles.url, attribution: this.tiles.attribution };
   }
 }
 
-// Create and export a singleton instance
-const mapService = new MapService('OSM');
-export default mapService;
\ No newline at end of file
+// Create and export a singleton instance configured from the Vite env
+const mapService = new MapService();
+export default mapService;
@@ -0,0 +1,238 @@
+// Client-side shortest-path routing over the bundled road graph, used when the routing
+// server can't be reached
+import roadData from '../data/boholRoads.json';
+import { flattenLegSteps, turnModifier } from './directions';
+import { bearingDegrees, haversineKm, projectOntoSegment } from './geometry';
+
+// Waypoints farther than this from every road are outside the offline map
+const MAX_SNAP_KM = 3;
+// The straight hop between a waypoint and the road isn't part of the route or its fare; hops
+// longer than this are worth pointing out
+export const SNAP_WARNING_KM = 0.3;
+
+// Road graph: node positions plus an adjacency list of road segments
+const buildGraph = () => {
+  const positions = new Map(Object.entries(roadData.nodes));
+  const edges = [];
+  const adjacency = new Map(Array.from(positions.keys(), (id) => [id, []]));
+
+  roadData.roads.forEach((road) => {
+    road.nodes.slice(1).forEach((to, index) => {
+      const from = road.nodes[index];
+      if (!positions.has(from) || !positions.has(to)) {
+        throw new Error(`Road ${road.name} references an unknown node`);
+      }
+      const lengthKm = haversineKm(positions.get(from), positions.get(to));
+      const national = road.highway === 'national';
+      edges.push({ from, to, lengthKm, road: road.name, national });
+      adjacency.get(from).push({ to, lengthKm, road: road.name, national });
+      adjacency.get(to).push({ to: from, lengthKm, road: road.name, national });
+    });
+  });
+
+  return { positions, edges, adjacency };
+};
+
+const GRAPH = buildGraph();
+
+// Attach a waypoint to the closest point on the closest road segment
+const snapToRoad = (position) => {
+  let best = null;
+  GRAPH.edges.forEach((edge) => {
+    const projection = projectOntoSegment(position, GRAPH.positions.get(edge.from), GRAPH.positions.get(edge.to));
+    if (!best || projection.distanceKm < best.distanceKm) {
+      best = { ...projection, edge };
+    }
+  });
+
+  if (!best || best.distanceKm > MAX_SNAP_KM) {
+    throw new Error('This location is outside the offline road map');
+  }
+  return best;
+};
+
+// Travel settings for a routing profile id
+const profileSettings = (profile) => {
+  const settings = roadData.profiles[profile];
+  if (!settings) {
+    throw new Error(`Unsupported routing profile: ${profile}`);
+  }
+  return settings;
+};
+
+// Dijkstra over the road graph plus two virtual nodes for the snapped start and end points.
+// National highway segments cost nationalRoadCostFactor times their length, so tricycles
+// only take them when no other road gets there.
+const shortestPath = (start, end, { nationalRoadCostFactor = 1 }) => {
+  const links = (id) => {
+    const snapLinks = (snap, virtualId) => [
+      { from: snap.edge.from, to: virtualId, lengthKm: snap.t * snap.edge.lengthKm, road: snap.edge.road, national: snap.edge.national },
+      { from: snap.edge.to, to: virtualId, lengthKm: (1 - snap.t) * snap.edge.lengthKm, road: snap.edge.road, national: snap.edge.national },
+    ];
+
+    if (id === 'start') {
+      const fromStart = snapLinks(start, 'start').map(({ from, ...link }) => ({ ...link, to: from }));
+      if (start.edge === end.edge) {
+        fromStart.push({
+          to: 'end',
+          lengthKm: Math.abs(start.t - end.t) * start.edge.lengthKm,
+          road: start.edge.road,
+          national: start.edge.national,
+        });
+      }
+      return fromStart;
+    }
+    if (id === 'end') return [];
+
+    return [
+      ...GRAPH.adjacency.get(id),
+      ...snapLinks(end, 'end').filter((link) => link.from === id),
+    ];
+  };
+
+  const distances = new Map([['start', 0]]);
+  const previous = new Map();
+  const visited = new Set();
+
+  // Closest node not settled yet, or null once every reachable node is
+  const nextNode = () => {
+    let closest = null;
+    distances.forEach((distance, id) => {
+      if (!visited.has(id) && (closest === null || distance < distances.get(closest))) {
+        closest = id;
+      }
+    });
+    return closest;
+  };
+
+  for (let current = nextNode(); current !== 'end'; current = nextNode()) {
+    if (current === null) {
+      throw new Error('No offline route found');
+    }
+    visited.add(current);
+
+    links(current).forEach(({ to, lengthKm, road, national }) => {
+      const distance = distances.get(current) + lengthKm * (national ? nationalRoadCostFactor : 1);
+      if (!distances.has(to) || distance < distances.get(to)) {
+        distances.set(to, distance);
+        previous.set(to, { id: current, road });
+      }
+    });
+  }
+
+  // Road taken between each pair of consecutive path nodes
+  const path = ['end'];
+  const pathRoads = [];
+  while (path[0] !== 'start') {
+    const step = previous.get(path[0]);
+    pathRoads.unshift(step.road);
+    path.unshift(step.id);
+  }
+
+  return { path, pathRoads };
+};
+
+const lineLengthKm = (line) =>
+  line.slice(1).reduce((total, position, index) => total + haversineKm(line[index], position), 0);
+
+// Heading at the start and at the end of a line, skipping zero-length segments
+const startBearing = (line) => {
+  const next = line.find((position) => haversineKm(line[0], position) > 0);
+  return next ? bearingDegrees(line[0], next) : 0;
+};
+const endBearing = (line) => {
+  const end = line[line.length - 1];
+  const previous = [...line].reverse().find((position) => haversineKm(position, end) > 0);
+  return previous ? bearingDegrees(previous, end) : 0;
+};
+
+// Turn-by-turn steps in the routers' shared shape: one per stretch along the same road, then
+// the arrival. `segmentRoads` names the road of each coordinates[i] → coordinates[i + 1].
+const buildSteps = (coordinates, segmentRoads, speedKmh) => {
+  const stretches = [];
+  segmentRoads.forEach((road, index) => {
+    const last = stretches[stretches.length - 1];
+    if (last && last.name === road) {
+      last.coordinates.push(coordinates[index + 1]);
+    } else {
+      stretches.push({ name: road, coordinates: [coordinates[index], coordinates[index + 1]] });
+    }
+  });
+
+  const steps = stretches.map((stretch, index) => {
+    const distance = lineLengthKm(stretch.coordinates);
+    const bearingAfter = startBearing(stretch.coordinates);
+    const bearingBefore = index === 0 ? 0 : endBearing(stretches[index - 1].coordinates);
+    const modifier = index === 0 ? null : turnModifier(bearingBefore, bearingAfter);
+    return {
+      type: index === 0 ? 'depart' : modifier === 'straight' ? 'new name' : 'turn',
+      modifier,
+      name: stretch.name,
+      distance,
+      duration: (distance / speedKmh) * 60,
+      bearingBefore,
+      bearingAfter,
+      location: stretch.coordinates[0],
+      coordinates: stretch.coordinates,
+      exit: null,
+    };
+  });
+
+  const destination = coordinates[coordinates.length - 1];
+  steps.push({
+    type: 'arrive',
+    modifier: null,
+    name: null,
+    distance: 0,
+    duration: 0,
+    bearingBefore: stretches.length ? endBearing(stretches[stretches.length - 1].coordinates) : 0,
+    bearingAfter: 0,
+    location: destination,
+    coordinates: [destination],
+    exit: null,
+  });
+  return steps;
+};
+
+// Route one leg between two [lng, lat] positions along the road, from the point on it closest
+// to `from` to the one closest to `to`. snapDistance: the longer of the two hops off the road.
+const routeLeg = (from, to, settings) => {
+  const start = snapToRoad(from);
+  const end = snapToRoad(to);
+  const { path, pathRoads } = shortestPath(start, end, settings);
+
+  const coordinates = path.map((id) => {
+    if (id === 'start') return start.position;
+    if (id === 'end') return end.position;
+    return GRAPH.positions.get(id);
+  });
+
+  const distance = lineLengthKm(coordinates);
+  return {
+    distance,
+    duration: (distance / settings.speedKmh) * 60,
+    coordinates,
+    roads: pathRoads.filter((road, index) => road !== pathRoads[index - 1]),
+    steps: buildSteps(coordinates, pathRoads, settings.speedKmh),
+    snapDistance: Math.max(start.distanceKm, end.distanceKm),
+  };
+};
+
+// Route through ordered { lat, lng } waypoints for a routing profile (see ROUTING_PROFILES),
+// in the same normalized shape as the online routing providers
+export const routeOffline = (waypoints, { profile = 'tricycle' } = {}) => {
+  const settings = profileSettings(profile);
+  const positions = waypoints.map(({ lat, lng }) => [lng, lat]);
+  const legs = positions.slice(1).map((position, index) => routeLeg(positions[index], position, settings));
+
+  return {
+    distance: legs.reduce((total, leg) => total + leg.distance, 0),
+    duration: legs.reduce((total, leg) => total + leg.duration, 0),
+    coordinates: legs.flatMap((leg, index) => (index === 0 ? leg.coordinates : leg.coordinates.slice(1))),
+    legs,
+    steps: flattenLegSteps(legs),
+    snapDistance: Math.max(...legs.map((leg) => leg.snapDistance)),
+    alternatives: [],
+    offline: true,
+  };
+};
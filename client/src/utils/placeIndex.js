@@ -0,0 +1,167 @@
+// Local search index of Bohol places (barangays and common destinations) bundled for offline use
+import placeData from '../data/boholPlaces.json';
+import { haversineKm } from './geometry';
+
+// Reverse lookups snap to a named place this close, otherwise to the nearest barangay centroid
+const NEAREST_POI_KM = 0.15;
+const NEAREST_BARANGAY_KM = 5;
+
+// Lowercase and strip accents and punctuation so "Bil-isan" matches "bil isan"
+export const normalizePlaceText = (text) =>
+  String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+// Normalized names (each also without spaces, so "bilisan" finds "Bil-isan") and the
+// words searched for an entry; `context` adds words like the municipality
+export const searchTerms = (names, context = []) => {
+  const normalized = [...new Set(
+    names.map(normalizePlaceText).flatMap((name) => [name, name.replace(/ /g, '')])
+  )];
+  return {
+    names: normalized,
+    tokens: [...new Set([...normalized, ...context.map(normalizePlaceText)].join(' ').split(' ').filter(Boolean))],
+  };
+};
+
+const PLACES = placeData.places.map((place, index) => ({
+  ...place,
+  key: index,
+  ...searchTerms([place.name, ...(place.aliases || [])], [place.municipality]),
+}));
+
+// Every place in the index
+export const getPlaces = () => PLACES;
+
+// Address in the shape Nominatim returns so the rest of the app can read it unchanged
+export const placeAddress = (place) => ({
+  ...(place.type === 'poi' ? { amenity: place.name } : {}),
+  village: place.type === 'barangay' ? place.name : place.barangay,
+  town: place.municipality,
+  state: placeData.province,
+  country: placeData.country,
+});
+
+export const placeDisplayName = (place) =>
+  [
+    place.name,
+    place.type === 'poi' ? place.barangay : null,
+    place.municipality,
+    placeData.province,
+    placeData.country,
+  ].filter(Boolean).join(', ');
+
+// Search result in the normalized geocoding shape used by MapService
+export const toGeocodingResult = (place, index) => ({
+  id: index,
+  name: place.name,
+  fullAddress: placeDisplayName(place),
+  lat: place.position[1],
+  lng: place.position[0],
+  type: place.type === 'poi' ? place.category : 'village',
+  class: place.type === 'poi' ? 'amenity' : 'place',
+  address: placeAddress(place),
+});
+
+// Typos tolerated per query word: none for short words, then one, then two
+const allowedEdits = (length) => (length >= 7 ? 2 : length >= 4 ? 1 : 0);
+
+// Fewest edits turning `query` into some prefix of `target`, or Infinity past `max`
+const prefixEditDistance = (query, target, max) => {
+  let previous = Array.from({ length: target.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= query.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= target.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (query[i - 1] === target[j - 1] ? 0 : 1)
+      );
+    }
+    if (Math.min(...current) > max) return Infinity;
+    previous = current;
+  }
+  return Math.min(...previous);
+};
+
+// Edits needed for a query word to match the start of a place word. The first letter must
+// match, which keeps the check cheap across every barangay in the country.
+const tokenDistance = (queryToken, placeToken) => {
+  if (placeToken.startsWith(queryToken)) return 0;
+  const max = allowedEdits(queryToken.length);
+  if (max === 0 || placeToken[0] !== queryToken[0]) return Infinity;
+  const distance = prefixEditDistance(queryToken, placeToken, max);
+  return distance <= max ? distance : Infinity;
+};
+
+// Score how well an indexed entry ({ names, tokens }) matches the query; 0 means no match.
+// Every query word has to (fuzzily) start one of the entry's words.
+export const scoreMatch = (entry, queryText, queryTokens) => {
+  let edits = 0;
+  for (const queryToken of queryTokens) {
+    let best = Infinity;
+    for (const token of entry.tokens) {
+      best = Math.min(best, tokenDistance(queryToken, token));
+      if (best === 0) break;
+    }
+    if (best === Infinity) return 0;
+    edits += best;
+  }
+
+  let score = edits === 0 ? 2 : 1 / (1 + edits);
+  if (entry.names.some((name) => name === queryText)) score += 3;
+  else if (entry.names.some((name) => name.startsWith(queryText))) score += 2;
+  return score;
+};
+
+// Lowercased query and its words, or null for an empty query
+export const parseQuery = (query) => {
+  const queryText = normalizePlaceText(query);
+  return queryText ? { queryText, queryTokens: queryText.split(' ') } : null;
+};
+
+// Find places whose names (or aliases and municipality) start with every word of the
+// query, allowing a typo or two in longer words
+export const searchPlaces = (query, limit = 5) => {
+  const parsed = parseQuery(query);
+  if (!parsed) return [];
+
+  return PLACES
+    .map((place) => {
+      const score = scoreMatch(place, parsed.queryText, parsed.queryTokens);
+      return { place, score: score && score + (place.type === 'poi' ? 0.5 : 0) };
+    })
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || a.place.name.localeCompare(b.place.name))
+    .slice(0, limit)
+    .map(({ place }) => place);
+};
+
+// Nearest place of a type to a position, with its distance, or null when none is within maxKm
+const nearestPlace = (position, type, maxKm) =>
+  PLACES.filter((place) => place.type === type)
+    .map((place) => ({ place, distanceKm: haversineKm(position, place.position) }))
+    .filter(({ distanceKm }) => distanceKm <= maxKm)
+    .sort((a, b) => a.distanceKm - b.distanceKm)[0] || null;
+
+// Describe a position by the named place at it or the nearest barangay, in the normalized
+// reverse-geocoding shape used by MapService
+export const reverseGeocodePlace = (lat, lng) => {
+  const position = [lng, lat];
+  const match = nearestPlace(position, 'poi', NEAREST_POI_KM) || nearestPlace(position, 'barangay', NEAREST_BARANGAY_KM);
+  if (!match) {
+    throw new Error('No address found');
+  }
+
+  return {
+    address: placeAddress(match.place),
+    displayName: match.place.type === 'poi'
+      ? placeDisplayName(match.place)
+      : `Near ${placeDisplayName(match.place)}`,
+    lat,
+    lon: lng,
+  };
+};
@@ -0,0 +1,364 @@
+// Trip receipt export: a printable page and a downloadable PNG built from the fare breakdown
+import { saveAs } from 'file-saver';
+import mapService from './mapsAPI';
+import { toTariffDateTime } from './fareCalculator';
+
+const TILE_SIZE = 256;
+const MAX_SNAPSHOT_ZOOM = 17;
+const SNAPSHOT_PADDING = 30; // pixels kept free around the route
+const SNAPSHOT_SIZE = { width: 640, height: 320 };
+const RECEIPT_WIDTH = 720;
+const RECEIPT_MARGIN = 40;
+
+const ROUTE_COLOR = '#ff6b6b';
+const MARKER_COLORS = { origin: '#16a34a', stop: '#f97316', destination: '#dc2626' };
+
+const formatPeso = (amount) => `${amount < 0 ? '-' : ''}₱${Math.abs(amount).toFixed(2)}`;
+
+// Build the receipt data from the trip and its fare calculation.
+// Single-leg trips have one breakdown section; multi-stop trips get one section per leg.
+export const buildReceipt = ({
+  origin,
+  destination,
+  stops = [],
+  route,
+  passengerType,
+  fareBreakdown,
+  legFares = null,
+  issuedAt = new Date(),
+}) => {
+  const { date, time } = toTariffDateTime(issuedAt);
+  const sections = legFares
+    ? legFares.legs.map((leg) => ({
+        title: `Leg ${leg.index + 1}: ${leg.from.name} → ${leg.to.name} (${leg.distance.toFixed(2)} km)`,
+        lines: leg.breakdown ? leg.breakdown.lines : [],
+        total: leg.breakdown ? leg.breakdown.totalFare : null,
+      }))
+    : [{ title: 'Fare Breakdown (Per Person)', lines: fareBreakdown.lines, total: fareBreakdown.totalFare }];
+
+  return {
+    id: `TRIP-${date.replace(/-/g, '')}-${time.replace(':', '')}${String(issuedAt.getSeconds()).padStart(2, '0')}`,
+    issuedAt: `${date} ${time}`,
+    origin,
+    destination,
+    stops,
+    distanceKm: route.distance,
+    durationMinutes: route.duration,
+    coordinates: route.coordinates,
+    passengerType: fareBreakdown.passengerType || passengerType,
+    sections,
+    totalFare: legFares ? legFares.totalFare : fareBreakdown.totalFare,
+    complete: legFares ? legFares.complete : true,
+    tariffVersion: fareBreakdown.tariffVersion,
+    scheduleId: fareBreakdown.scheduleId,
+    ordinance: fareBreakdown.ordinance,
+  };
+};
+
+// Web Mercator pixel position of a [lng, lat] position at a zoom level
+const project = ([lng, lat], zoom) => {
+  const scale = TILE_SIZE * 2 ** zoom;
+  const latRad = (lat * Math.PI) / 180;
+  return [
+    ((lng + 180) / 360) * scale,
+    ((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2) * scale,
+  ];
+};
+
+// Highest zoom at which every position fits in the snapshot
+const fitZoom = (positions, width, height) => {
+  for (let zoom = MAX_SNAPSHOT_ZOOM; zoom > 0; zoom--) {
+    const pixels = positions.map((position) => project(position, zoom));
+    const xs = pixels.map(([x]) => x);
+    const ys = pixels.map(([, y]) => y);
+    if (
+      Math.max(...xs) - Math.min(...xs) <= width - 2 * SNAPSHOT_PADDING &&
+      Math.max(...ys) - Math.min(...ys) <= height - 2 * SNAPSHOT_PADDING
+    ) {
+      return zoom;
+    }
+  }
+  return 0;
+};
+
+// Load a map tile; tiles that fail (offline, or served without CORS headers) resolve to null
+// so they are left out instead of tainting the canvas
+const loadTile = (url) =>
+  new Promise((resolve) => {
+    const image = new Image();
+    image.crossOrigin = 'anonymous';
+    image.onload = () => resolve(image);
+    image.onerror = () => resolve(null);
+    image.src = url;
+  });
+
+// Render a static map of the route with origin, stop and destination markers
+export const renderMapSnapshot = async (receipt, { width, height } = SNAPSHOT_SIZE) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#e5e7eb';
+  ctx.fillRect(0, 0, width, height);
+
+  const markers = [
+    { position: [receipt.origin.lng, receipt.origin.lat], color: MARKER_COLORS.origin },
+    ...receipt.stops.map((stop) => ({ position: [stop.lng, stop.lat], color: MARKER_COLORS.stop })),
+    { position: [receipt.destination.lng, receipt.destination.lat], color: MARKER_COLORS.destination },
+  ];
+  const positions = [...receipt.coordinates, ...markers.map((marker) => marker.position)];
+  const zoom = fitZoom(positions, width, height);
+
+  const pixels = positions.map((position) => project(position, zoom));
+  const centerX = (Math.min(...pixels.map(([x]) => x)) + Math.max(...pixels.map(([x]) => x))) / 2;
+  const centerY = (Math.min(...pixels.map(([, y]) => y)) + Math.max(...pixels.map(([, y]) => y))) / 2;
+  const left = centerX - width / 2;
+  const top = centerY - height / 2;
+  const toCanvas = (position) => {
+    const [x, y] = project(position, zoom);
+    return [x - left, y - top];
+  };
+
+  // Background tiles
+  const tileCount = 2 ** zoom;
+  const tiles = [];
+  for (let tx = Math.floor(left / TILE_SIZE); tx <= Math.floor((left + width) / TILE_SIZE); tx++) {
+    for (let ty = Math.floor(top / TILE_SIZE); ty <= Math.floor((top + height) / TILE_SIZE); ty++) {
+      if (ty < 0 || ty >= tileCount) continue;
+      const url = mapService
+        .getTileConfig()
+        .url.replace('{s}', 'abc'[(tx + ty) % 3])
+        .replace('{z}', zoom)
+        .replace('{x}', ((tx % tileCount) + tileCount) % tileCount)
+        .replace('{y}', ty);
+      tiles.push(loadTile(url).then((image) => ({ image, tx, ty })));
+    }
+  }
+  (await Promise.all(tiles)).forEach(({ image, tx, ty }) => {
+    if (image) ctx.drawImage(image, tx * TILE_SIZE - left, ty * TILE_SIZE - top);
+  });
+
+  // Route line
+  if (receipt.coordinates.length > 1) {
+    ctx.strokeStyle = ROUTE_COLOR;
+    ctx.lineWidth = 4;
+    ctx.lineJoin = 'round';
+    ctx.beginPath();
+    receipt.coordinates.forEach((position, index) => {
+      const [x, y] = toCanvas(position);
+      if (index === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    });
+    ctx.stroke();
+  }
+
+  // Markers
+  markers.forEach(({ position, color }) => {
+    const [x, y] = toCanvas(position);
+    ctx.fillStyle = color;
+    ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(x, y, 7, 0, 2 * Math.PI);
+    ctx.fill();
+    ctx.stroke();
+  });
+
+  // Tile attribution, as required by the tile provider
+  const attribution = mapService
+    .getTileConfig()
+    .attribution.replace(/<[^>]+>/g, '')
+    .replace('&copy;', '©');
+  ctx.font = '10px sans-serif';
+  const attributionWidth = ctx.measureText(attribution).width + 12;
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+  ctx.fillRect(width - attributionWidth, height - 16, attributionWidth, 16);
+  ctx.fillStyle = '#374151';
+  ctx.fillText(attribution, width - attributionWidth + 6, height - 4);
+
+  return canvas;
+};
+
+// Rows of the receipt as label/value pairs, shared by the printable page and the PNG
+const receiptRows = (receipt) => [
+  ['Receipt No.', receipt.id],
+  ['Issued', `${receipt.issuedAt} (Philippine time)`],
+  ['Origin', receipt.origin.name],
+  ...receipt.stops.map((stop, index) => [`Stop ${index + 1}`, stop.name]),
+  ['Destination', receipt.destination.name],
+  ['Distance', `${receipt.distanceKm.toFixed(2)} km (about ${Math.round(receipt.durationMinutes)} min)`],
+  ['Passenger type', receipt.passengerType],
+];
+
+const tariffNote = (receipt) =>
+  `Tariff ${receipt.tariffVersion} · schedule ${receipt.scheduleId}${receipt.ordinance ? ` · ${receipt.ordinance}` : ''}`;
+
+// Split text into lines that fit the given canvas width
+const wrapText = (ctx, text, maxWidth) =>
+  String(text).split(' ').reduce((lines, word) => {
+    const current = lines[lines.length - 1];
+    if (current && ctx.measureText(`${current} ${word}`).width <= maxWidth) {
+      lines[lines.length - 1] = `${current} ${word}`;
+    } else {
+      lines.push(word);
+    }
+    return lines;
+  }, []);
+
+// Map snapshot for a receipt export, or null when it can't be drawn or read back (a tile served
+// without CORS headers taints the canvas); the receipt is then exported without the map
+const renderReceiptMap = async (receipt) => {
+  try {
+    const snapshot = await renderMapSnapshot(receipt);
+    // Reading a pixel throws on a tainted canvas, which would fail the whole export later
+    snapshot.getContext('2d').getImageData(0, 0, 1, 1);
+    return snapshot;
+  } catch (error) {
+    console.error('Error rendering the receipt map:', error);
+    return null;
+  }
+};
+
+// Draw the complete receipt (map snapshot included when it renders) onto a canvas
+export const renderReceiptCanvas = async (receipt) => {
+  const snapshot = await renderReceiptMap(receipt);
+  const contentWidth = RECEIPT_WIDTH - 2 * RECEIPT_MARGIN;
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d');
+
+  // Lay out every drawing operation first so the canvas can be sized to fit
+  const operations = [];
+  let y = RECEIPT_MARGIN;
+  const text = (value, { font = '14px sans-serif', color = '#111827', align = 'left', x = RECEIPT_MARGIN } = {}) => {
+    operations.push({ value, font, color, align, x, y });
+  };
+
+  text('Tricycle Trip Receipt', { font: 'bold 24px sans-serif' });
+  y += 16;
+  if (snapshot) {
+    operations.push({ image: snapshot, y });
+    y += snapshot.height;
+  }
+  y += 30;
+
+  ctx.font = '14px sans-serif';
+  receiptRows(receipt).forEach(([label, value]) => {
+    text(label, { font: 'bold 14px sans-serif', color: '#4b5563' });
+    wrapText(ctx, value, contentWidth - 150).forEach((line) => {
+      text(line, { x: RECEIPT_MARGIN + 150 });
+      y += 20;
+    });
+  });
+
+  receipt.sections.forEach((section) => {
+    y += 14;
+    ctx.font = 'bold 15px sans-serif';
+    wrapText(ctx, section.title, contentWidth).forEach((line) => {
+      text(line, { font: 'bold 15px sans-serif' });
+      y += 22;
+    });
+    if (section.lines.length === 0) {
+      text('Starts outside the tariff jurisdictions', { color: '#6b7280' });
+      y += 20;
+    }
+    section.lines.forEach((line) => {
+      text(line.label, { color: '#374151' });
+      text(formatPeso(line.amount), { color: '#374151', align: 'right', x: RECEIPT_WIDTH - RECEIPT_MARGIN });
+      y += 20;
+    });
+  });
+
+  y += 16;
+  text('Total Fare (Per Person)', { font: 'bold 18px sans-serif' });
+  text(formatPeso(receipt.totalFare), { font: 'bold 18px sans-serif', align: 'right', x: RECEIPT_WIDTH - RECEIPT_MARGIN });
+  y += 26;
+  if (!receipt.complete) {
+    text('Legs starting outside the tariff jurisdictions are not included.', { font: '12px sans-serif', color: '#c2410c' });
+    y += 18;
+  }
+  text(tariffNote(receipt), { font: '12px sans-serif', color: '#6b7280' });
+  y += RECEIPT_MARGIN;
+
+  canvas.width = RECEIPT_WIDTH;
+  canvas.height = y;
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.textBaseline = 'top';
+  operations.forEach((operation) => {
+    if (operation.image) {
+      ctx.drawImage(operation.image, (RECEIPT_WIDTH - operation.image.width) / 2, operation.y);
+      return;
+    }
+    ctx.font = operation.font;
+    ctx.fillStyle = operation.color;
+    ctx.textAlign = operation.align;
+    ctx.fillText(operation.value, operation.x, operation.y);
+  });
+
+  return canvas;
+};
+
+// Save the receipt as a PNG file
+export const downloadReceiptImage = async (receipt) => {
+  const canvas = await renderReceiptCanvas(receipt);
+  const blob = await new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
+  saveAs(blob, `${receipt.id}.png`);
+};
+
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+
+// Open the receipt as a printable page (the browser's print dialog can also save it as a PDF).
+// The window is opened before the map snapshot renders so popup blockers treat it as user-initiated.
+export const openPrintableReceipt = async (receipt) => {
+  const printWindow = window.open('', '_blank');
+  if (!printWindow) {
+    throw new Error('Allow pop-ups for this site to print the receipt.');
+  }
+  printWindow.document.write('<p style="font-family: sans-serif">Preparing receipt...</p>');
+
+  const snapshot = await renderReceiptMap(receipt);
+  const mapImage = snapshot && snapshot.toDataURL('image/png');
+  const rows = receiptRows(receipt)
+    .map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`)
+    .join('');
+  const sections = receipt.sections
+    .map((section) => `
+      <h3>${escapeHtml(section.title)}</h3>
+      <table class="lines">
+        ${section.lines.length === 0 ? '<tr><td>Starts outside the tariff jurisdictions</td><td></td></tr>' : ''}
+        ${section.lines.map((line) => `<tr><td>${escapeHtml(line.label)}</td><td>${formatPeso(line.amount)}</td></tr>`).join('')}
+      </table>`)
+    .join('');
+
+  printWindow.document.open();
+  printWindow.document.write(`<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8" />
+  <title>${escapeHtml(receipt.id)}</title>
+  <style>
+    body { font-family: sans-serif; color: #111827; max-width: ${RECEIPT_WIDTH}px; margin: 24px auto; padding: 0 16px; }
+    img { width: 100%; border: 1px solid #d1d5db; }
+    table { width: 100%; border-collapse: collapse; font-size: 14px; }
+    th { text-align: left; color: #4b5563; width: 150px; vertical-align: top; padding: 2px 0; }
+    .lines td:last-child { text-align: right; }
+    .total { display: flex; justify-content: space-between; font-weight: bold; font-size: 18px; border-top: 2px solid #111827; margin-top: 16px; padding-top: 8px; }
+    .note { color: #6b7280; font-size: 12px; }
+    @media print { button { display: none; } }
+  </style>
+</head>
+<body>
+  <h1>Tricycle Trip Receipt</h1>
+  ${mapImage ? `<img src="${mapImage}" alt="Route map" />` : ''}
+  <table>${rows}</table>
+  ${sections}
+  <div class="total"><span>Total Fare (Per Person)</span><span>${formatPeso(receipt.totalFare)}</span></div>
+  ${receipt.complete ? '' : '<p class="note">Legs starting outside the tariff jurisdictions are not included.</p>'}
+  <p class="note">${escapeHtml(tariffNote(receipt))}</p>
+  <button onclick="window.print()">Print</button>
+  <script>window.addEventListener('load', () => window.print());</script>
+</body>
+</html>`);
+  printWindow.document.close();
+};
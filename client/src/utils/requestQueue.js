@@ -0,0 +1,112 @@
+// Rate-limited request queue and retrying JSON fetch for the map provider APIs
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Statuses worth retrying: rate limiting and server-side failures
+const isRetryableStatus = (status) => status === 429 || status >= 500;
+
+// Longest Retry-After we are willing to honour before giving up on the request
+const MAX_RETRY_AFTER_MS = 30000;
+
+// Rejection for a queued request replaced by a newer one on the same channel
+export class SupersededRequestError extends Error {
+  constructor() {
+    super('Request was superseded by a newer one');
+    this.name = 'SupersededRequestError';
+  }
+}
+
+export const isSupersededRequest = (error) => error?.name === 'SupersededRequestError';
+
+// Rejection for a request that still failed with a retryable status after every retry
+export class RequestFailedError extends Error {
+  constructor(status) {
+    super(`Request failed with status ${status}`);
+    this.name = 'RequestFailedError';
+    this.status = status;
+  }
+}
+
+// Runs tasks one at a time, starting each at least minIntervalMs after the previous one.
+// Tasks scheduled on a channel replace any task still waiting on that channel
+// (e.g. search-as-you-type only needs the latest query).
+export class RequestQueue {
+  constructor({ minIntervalMs = 1000 } = {}) {
+    this.minIntervalMs = minIntervalMs;
+    this.pending = [];
+    this.lastStartedAt = 0;
+    this.running = false;
+  }
+
+  schedule(task, { channel } = {}) {
+    return new Promise((resolve, reject) => {
+      if (channel) {
+        this.pending = this.pending.filter((entry) => {
+          if (entry.channel !== channel) return true;
+          entry.reject(new SupersededRequestError());
+          return false;
+        });
+      }
+      this.pending.push({ task, channel, resolve, reject });
+      this._drain();
+    });
+  }
+
+  get size() {
+    return this.pending.length;
+  }
+
+  async _drain() {
+    if (this.running) return;
+    this.running = true;
+
+    while (this.pending.length > 0) {
+      const wait = this.lastStartedAt + this.minIntervalMs - Date.now();
+      if (wait > 0) {
+        await sleep(wait);
+        continue; // the pending list may have changed while waiting
+      }
+
+      const entry = this.pending.shift();
+      this.lastStartedAt = Date.now();
+      try {
+        entry.resolve(await entry.task());
+      } catch (error) {
+        entry.reject(error);
+      }
+    }
+
+    this.running = false;
+  }
+}
+
+// Fetch JSON, retrying network errors, 429 and 5xx responses with exponential backoff
+// (or the server's Retry-After). Resolves to { ok, status, data } so callers can decide
+// whether a client error body is worth caching.
+export const fetchJsonWithRetry = async (url, { retries = 3, baseDelayMs = 1000, onRetry } = {}) => {
+  const backoff = (attempt) => baseDelayMs * 2 ** attempt + Math.random() * (baseDelayMs / 2);
+
+  for (let attempt = 0; ; attempt++) {
+    let response;
+    try {
+      response = await fetch(url);
+    } catch (error) {
+      if (attempt >= retries) throw error;
+      onRetry?.(attempt + 1, error);
+      await sleep(backoff(attempt));
+      continue;
+    }
+
+    if (isRetryableStatus(response.status)) {
+      if (attempt >= retries) {
+        throw new RequestFailedError(response.status);
+      }
+      const retryAfterMs = Number(response.headers.get('Retry-After')) * 1000;
+      onRetry?.(attempt + 1, response.status);
+      await sleep(retryAfterMs > 0 ? Math.min(retryAfterMs, MAX_RETRY_AFTER_MS) : backoff(attempt));
+      continue;
+    }
+
+    return { ok: response.ok, status: response.status, data: await response.json() };
+  }
+};
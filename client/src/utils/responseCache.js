@@ -0,0 +1,156 @@
+// Two-level response cache: an in-memory LRU backed by IndexedDB so results survive reloads
+
+const DB_NAME = 'route-finder-cache';
+const DB_VERSION = 2;
+const STORE_NAME = 'responses';
+
+let dbPromise = null;
+
+// Open the cache database once; resolves to null where IndexedDB is unavailable
+// (private browsing, older browsers), leaving the memory cache to work alone
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      if (typeof indexedDB === 'undefined') {
+        resolve(null);
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        // Version 1 records have no write time to prune by; the cache can simply start over
+        const db = request.result;
+        if (db.objectStoreNames.contains(STORE_NAME)) db.deleteObjectStore(STORE_NAME);
+        const store = db.createObjectStore(STORE_NAME);
+        store.createIndex('expiresAt', 'expiresAt');
+        store.createIndex('storedAt', 'storedAt');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => resolve(null);
+    });
+  }
+  return dbPromise;
+};
+
+// Run a single IndexedDB store request; failures resolve to undefined
+const withStore = async (mode, operation) => {
+  const db = await openDatabase();
+  if (!db) return undefined;
+
+  return new Promise((resolve) => {
+    try {
+      const request = operation(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => resolve(undefined);
+    } catch (error) {
+      console.error('Response cache error:', error);
+      resolve(undefined);
+    }
+  });
+};
+
+// Delete every record the cursor request visits, up to limit, then call done
+const deleteAll = (cursorRequest, done, limit = Infinity) => {
+  let deleted = 0;
+  cursorRequest.onsuccess = () => {
+    const cursor = cursorRequest.result;
+    if (!cursor || deleted >= limit) {
+      done();
+      return;
+    }
+    cursor.delete();
+    deleted++;
+    cursor.continue();
+  };
+};
+
+// Drop expired records, then the oldest ones beyond maxEntries, in one transaction
+const pruneStore = async (maxEntries) => {
+  const db = await openDatabase();
+  if (!db) return;
+
+  try {
+    const store = db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+    deleteAll(store.index('expiresAt').openCursor(IDBKeyRange.upperBound(Date.now())), () => {
+      const count = store.count();
+      count.onsuccess = () => {
+        if (count.result > maxEntries) {
+          deleteAll(store.index('storedAt').openCursor(), () => undefined, count.result - maxEntries);
+        }
+      };
+    });
+  } catch (error) {
+    console.error('Response cache error:', error);
+  }
+};
+
+export class ResponseCache {
+  constructor({ maxEntries = 200 } = {}) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map(); // insertion order doubles as LRU order
+    this.stats = { memoryHits: 0, persistentHits: 0, misses: 0, writes: 0, evictions: 0 };
+  }
+
+  // Cached value for a key, or undefined when missing or expired
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt > Date.now()) {
+      // Move to the most recently used position
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+      this.stats.memoryHits++;
+      return entry.value;
+    }
+    if (entry) this.entries.delete(key);
+
+    const stored = await withStore('readonly', (store) => store.get(key));
+    if (stored && stored.expiresAt > Date.now()) {
+      this._remember(key, stored);
+      this.stats.persistentHits++;
+      return stored.value;
+    }
+    if (stored) withStore('readwrite', (store) => store.delete(key));
+
+    this.stats.misses++;
+    return undefined;
+  }
+
+  // Store a value in memory and IndexedDB for ttlMs milliseconds. IndexedDB is held to
+  // maxEntries too, dropping the oldest writes first.
+  set(key, value, ttlMs) {
+    const storedAt = Date.now();
+    const entry = { value, expiresAt: storedAt + ttlMs, storedAt };
+    this._remember(key, entry);
+    this.stats.writes++;
+    withStore('readwrite', (store) => store.put(entry, key)).then(() => pruneStore(this.maxEntries));
+  }
+
+  // Empty both cache levels and reset the counters
+  async clear() {
+    this.entries.clear();
+    Object.keys(this.stats).forEach((name) => {
+      this.stats[name] = 0;
+    });
+    await withStore('readwrite', (store) => store.clear());
+  }
+
+  getStats() {
+    const hits = this.stats.memoryHits + this.stats.persistentHits;
+    const lookups = hits + this.stats.misses;
+    return {
+      ...this.stats,
+      hits,
+      hitRate: lookups === 0 ? 0 : hits / lookups,
+      memoryEntries: this.entries.size,
+      maxEntries: this.maxEntries,
+    };
+  }
+
+  _remember(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.stats.evictions++;
+    }
+  }
+}
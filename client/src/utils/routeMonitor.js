@@ -0,0 +1,140 @@
+// Off-route detection while a ride is metered: compares GPS fixes with the planned route and
+// logs every sustained detour, so a padded fare can be spotted and priced
+import { distanceToLineKm, haversineKm, projectOntoSegment } from './geometry';
+import { determineLocationType, getFareBreakdown, hasTariff } from './fareCalculator';
+
+// How far from the route (beyond the fix's own GPS error) and for how long the vehicle has to
+// be before it counts as a detour
+export const DEFAULT_MONITOR_SETTINGS = { thresholdMeters: 150, sustainSeconds: 30 };
+
+// Start monitoring a ride along the planned route's [lng, lat] coordinates
+export const createRouteMonitor = (plannedRoute, settings = DEFAULT_MONITOR_SETTINGS) => ({
+  plannedRoute: { distance: plannedRoute.distance, coordinates: plannedRoute.coordinates },
+  settings,
+  offRouteSince: null, // first fix of the current stretch off the route, not yet sustained
+  alerting: false,
+  distanceMeters: null, // distance from the route at the last fix
+  deviations: [], // { startedAt, endedAt, maxDistanceMeters, coordinates }, newest last
+});
+
+const openDeviation = (monitor) => {
+  const last = monitor.deviations[monitor.deviations.length - 1];
+  return last && last.endedAt === null ? last : null;
+};
+
+const replaceLast = (items, item) => [...items.slice(0, -1), item];
+
+// Feed a GPS fix ({ latitude, longitude, accuracy, timestamp }) to the monitor. A detour is
+// logged once the vehicle has stayed off the route for the sustain period, backdated to when
+// it left, and closed when it rejoins the route.
+export const updateRouteMonitor = (monitor, fix) => {
+  const position = [fix.longitude, fix.latitude];
+  const distanceMeters = distanceToLineKm(position, monitor.plannedRoute.coordinates) * 1000;
+  const offRoute = distanceMeters - (fix.accuracy || 0) > monitor.settings.thresholdMeters;
+  const deviation = openDeviation(monitor);
+
+  if (!offRoute) {
+    return {
+      ...monitor,
+      offRouteSince: null,
+      alerting: false,
+      distanceMeters,
+      deviations: deviation
+        ? replaceLast(monitor.deviations, { ...deviation, endedAt: fix.timestamp, coordinates: [...deviation.coordinates, position] })
+        : monitor.deviations,
+    };
+  }
+
+  if (deviation) {
+    return {
+      ...monitor,
+      distanceMeters,
+      deviations: replaceLast(monitor.deviations, {
+        ...deviation,
+        maxDistanceMeters: Math.max(deviation.maxDistanceMeters, distanceMeters),
+        coordinates: [...deviation.coordinates, position],
+      }),
+    };
+  }
+
+  const offRouteSince = monitor.offRouteSince || { timestamp: fix.timestamp, position, maxDistanceMeters: distanceMeters };
+  const pending = { ...offRouteSince, maxDistanceMeters: Math.max(offRouteSince.maxDistanceMeters, distanceMeters) };
+  if (fix.timestamp - pending.timestamp < monitor.settings.sustainSeconds * 1000) {
+    return { ...monitor, offRouteSince: pending, distanceMeters };
+  }
+
+  return {
+    ...monitor,
+    offRouteSince: null,
+    alerting: true,
+    distanceMeters,
+    deviations: [
+      ...monitor.deviations,
+      {
+        startedAt: pending.timestamp,
+        endedAt: null,
+        maxDistanceMeters: pending.maxDistanceMeters,
+        coordinates: [pending.position, position],
+      },
+    ],
+  };
+};
+
+// Close a detour still open when the ride ends
+export const finishRouteMonitor = (monitor, endedAt = Date.now()) => {
+  const deviation = openDeviation(monitor);
+  return {
+    ...monitor,
+    alerting: false,
+    deviations: deviation ? replaceLast(monitor.deviations, { ...deviation, endedAt }) : monitor.deviations,
+  };
+};
+
+// Distance left along a route from the point on it closest to `position`
+const remainingRouteKm = (coordinates, position) => {
+  let best = null;
+  for (let i = 1; i < coordinates.length; i++) {
+    const projection = projectOntoSegment(position, coordinates[i - 1], coordinates[i]);
+    if (!best || projection.distanceKm < best.distanceKm) {
+      best = { ...projection, index: i };
+    }
+  }
+  if (!best) return 0;
+
+  let remaining = haversineKm(best.position, coordinates[best.index]);
+  for (let i = best.index + 1; i < coordinates.length; i++) {
+    remaining += haversineKm(coordinates[i - 1], coordinates[i]);
+  }
+  return remaining;
+};
+
+// What the detours add to the fare: the legal fare for the planned route against the legal fare
+// for the distance travelled plus, during the ride, the way back to the route and the rest of it.
+// Returns { plannedKm, actualKm, plannedFare, actualFare, difference }, or null before the first
+// GPS fix or when the route starts outside the tariff jurisdictions.
+// options: the trip context accepted by getFareBreakdown
+export const estimateDetourFare = (monitor, track, passengerType, { finished = false, ...options } = {}) => {
+  const { coordinates, distance: plannedKm } = monitor.plannedRoute;
+  const last = track.points[track.points.length - 1];
+  const [startLng, startLat] = coordinates[0];
+  const { locationType } = determineLocationType(startLat, startLng);
+  if (!last || !hasTariff(locationType)) return null;
+
+  let actualKm = track.distanceKm;
+  if (!finished) {
+    const position = [last.longitude, last.latitude];
+    actualKm += distanceToLineKm(position, coordinates) + remainingRouteKm(coordinates, position);
+  }
+
+  const [endLng, endLat] = coordinates[coordinates.length - 1];
+  const fareOptions = {
+    ...options,
+    date: options.date || new Date(track.startedAt),
+    destinationType: determineLocationType(endLat, endLng).locationType,
+    routeCoordinates: coordinates,
+  };
+  const plannedFare = getFareBreakdown(plannedKm, passengerType, locationType, fareOptions).totalFare;
+  const actualFare = getFareBreakdown(actualKm, passengerType, locationType, fareOptions).totalFare;
+
+  return { plannedKm, actualKm, plannedFare, actualFare, difference: actualFare - plannedFare };
+};
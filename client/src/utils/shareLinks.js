@@ -0,0 +1,85 @@
+// Trip deep links: /route-finder?from=lat,lng&to=lat,lng&via=lat,lng&type=student&time=...
+// carry everything needed to route and price the same trip on another device
+const SHARE_PATH = '/route-finder';
+
+const TRIP_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/;
+const PASSENGER_TYPE_PATTERN = /^[a-z0-9_-]{1,32}$/i;
+
+// Six decimals is about 10 cm, plenty for a pickup point
+const formatPoint = ({ lat, lng }) => `${lat.toFixed(6)},${lng.toFixed(6)}`;
+
+const parsePoint = (value) => {
+  const match = value?.match(/^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/);
+  if (!match) return null;
+  const lat = Number(match[1]);
+  const lng = Number(match[2]);
+  return Math.abs(lat) <= 90 && Math.abs(lng) <= 180 ? { lat, lng } : null;
+};
+
+// Query parameters for a trip. origin/destination/stops: { name, lat, lng }; the origin may be
+// left out to route from the recipient's own location. tripTime: YYYY-MM-DDTHH:MM or empty.
+export const buildTripSearchParams = ({ origin = null, destination, stops = [], passengerType, tripTime = '' }) => {
+  const params = new URLSearchParams();
+  if (origin) {
+    params.set('from', formatPoint(origin));
+    if (origin.name) params.set('fromName', origin.name);
+  }
+  params.set('to', formatPoint(destination));
+  if (destination.name) params.set('toName', destination.name);
+  stops.forEach((stop) => {
+    params.append('via', formatPoint(stop));
+    params.append('viaName', stop.name || '');
+  });
+  if (passengerType) params.set('type', passengerType);
+  if (tripTime) params.set('time', tripTime);
+  return params;
+};
+
+// Trip described by the query parameters, or null when they don't name a valid destination.
+// Invalid stops, passenger types and trip times are dropped rather than failing the link.
+export const parseTripSearchParams = (params) => {
+  const destination = parsePoint(params.get('to'));
+  if (!destination) return null;
+
+  const origin = parsePoint(params.get('from'));
+  const stopNames = params.getAll('viaName');
+  const stops = params
+    .getAll('via')
+    .map((value, index) => {
+      const point = parsePoint(value);
+      return point && { ...point, name: stopNames[index] || `Stop ${index + 1}` };
+    })
+    .filter(Boolean);
+
+  const passengerType = params.get('type');
+  const tripTime = params.get('time');
+  return {
+    origin: origin && { ...origin, name: params.get('fromName') || null },
+    destination: { ...destination, name: params.get('toName') || null },
+    stops,
+    passengerType: PASSENGER_TYPE_PATTERN.test(passengerType || '') ? passengerType : null,
+    tripTime: TRIP_TIME_PATTERN.test(tripTime || '') ? tripTime : null,
+  };
+};
+
+// Absolute link to the route finder with the trip's parameters
+export const buildShareUrl = (params, origin = window.location.origin) => `${origin}${SHARE_PATH}?${params}`;
+
+// Share through the device's share sheet where there is one, otherwise copy the link.
+// Resolves to 'shared', 'copied' or 'cancelled'.
+export const shareTripLink = async ({ url, title, text }) => {
+  if (navigator.share) {
+    try {
+      await navigator.share({ title, text, url });
+      return 'shared';
+    } catch (error) {
+      if (error.name === 'AbortError') return 'cancelled';
+      // Share sheet unavailable (e.g. not allowed in this frame); fall back to copying
+    }
+  }
+  if (!navigator.clipboard) {
+    throw new Error('Sharing is not supported in this browser. Copy the link from the address bar instead.');
+  }
+  await navigator.clipboard.writeText(url);
+  return 'copied';
+};
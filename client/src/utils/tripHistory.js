@@ -0,0 +1,145 @@
+// Saved places and recent trips kept on the device, so regular routes (hotels, terminals,
+// the office) don't have to be searched again every visit
+import { calculateLegFares, determineLocationType } from './fareCalculator';
+
+const PLACES_STORAGE_KEY = 'savedPlaces';
+const TRIPS_STORAGE_KEY = 'recentTrips';
+
+const MAX_RECENT_TRIPS = 20;
+// Stored route lines are thinned to this many points to stay well inside the storage quota
+const MAX_STORED_ROUTE_POINTS = 200;
+
+const readList = (key) => {
+  try {
+    return JSON.parse(localStorage.getItem(key)) || [];
+  } catch (error) {
+    console.error(`Error reading ${key}:`, error);
+    return [];
+  }
+};
+
+const saveList = (key, list) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(list));
+  } catch (error) {
+    // Storage full or disabled (e.g. private browsing); keep working for this session
+    console.error(`Error saving ${key}:`, error);
+  }
+  return list;
+};
+
+// Positions rounded to about 10 m identify the same place
+const pointKey = ({ lat, lng }) => `${lat.toFixed(4)},${lng.toFixed(4)}`;
+
+const toPoint = ({ name, lat, lng }) => ({ name, lat, lng });
+
+// Saved places, most recently saved first
+export const getSavedPlaces = () => readList(PLACES_STORAGE_KEY);
+
+// Save a named place ({ name, lat, lng }), replacing an earlier save of the same spot, and
+// return the updated list
+export const savePlace = (place, savedAt = new Date()) => {
+  const name = place.name.trim();
+  if (!name) {
+    throw new Error('Give the place a name.');
+  }
+  const saved = { id: `place-${savedAt.getTime().toString(36)}`, ...toPoint({ ...place, name }), savedAt: savedAt.toISOString() };
+  return saveList(PLACES_STORAGE_KEY, [
+    saved,
+    ...getSavedPlaces().filter((existing) => pointKey(existing) !== pointKey(saved)),
+  ]);
+};
+
+// Drop a saved place and return the updated list
+export const removeSavedPlace = (id) =>
+  saveList(PLACES_STORAGE_KEY, getSavedPlaces().filter((place) => place.id !== id));
+
+// Recent trips, newest first
+export const getRecentTrips = () => readList(TRIPS_STORAGE_KEY);
+
+// Same origin, stops and destination
+const tripKey = ({ origin, stops, destination }) => [origin, ...stops, destination].map(pointKey).join('>');
+
+// Keep the first and last positions and evenly spaced ones in between
+const thinCoordinates = (coordinates) => {
+  if (coordinates.length <= MAX_STORED_ROUTE_POINTS) return coordinates;
+  const step = (coordinates.length - 1) / (MAX_STORED_ROUTE_POINTS - 1);
+  return Array.from({ length: MAX_STORED_ROUTE_POINTS }, (_, index) => coordinates[Math.round(index * step)]);
+};
+
+// Fare quoted for the trip, priced leg by leg as on screen, with the tariff it came from.
+// Null when the trip starts outside the tariff jurisdictions or no fare schedule covers its date.
+const quoteTrip = ({ origin, stops, destination, route, passengerType, fareOptions }) => {
+  const points = [origin, ...stops, destination];
+  const jurisdictionAt = ({ lat, lng }) => determineLocationType(lat, lng).locationType;
+  const legs = route.legs?.length > 1 ? route.legs : [{ distance: route.distance, coordinates: route.coordinates }];
+
+  let legFares;
+  try {
+    legFares = calculateLegFares(
+      legs.map((leg, index) => ({
+        distance: leg.distance,
+        coordinates: leg.coordinates,
+        locationType: jurisdictionAt(points[index]),
+        destinationType: jurisdictionAt(points[index + 1]),
+      })),
+      passengerType,
+      fareOptions
+    );
+  } catch (error) {
+    return null;
+  }
+
+  const priced = legFares.legs.find((leg) => leg.breakdown);
+  if (!priced) return null;
+  return {
+    passengerType: priced.breakdown.passengerType,
+    totalFare: legFares.totalFare,
+    complete: legFares.complete,
+    tariffVersion: priced.breakdown.tariffVersion,
+    scheduleId: priced.breakdown.scheduleId,
+  };
+};
+
+// Build a history entry for a routed trip. origin/destination/stops: { name, lat, lng }.
+// fareOptions: the trip context accepted by calculateLegFares (date, bags, specialBooking)
+export const buildTripRecord = ({
+  origin,
+  destination,
+  stops = [],
+  route,
+  passengerType,
+  fareOptions = {},
+  createdAt = new Date(),
+}) => {
+  const trip = { origin: toPoint(origin), stops: stops.map(toPoint), destination: toPoint(destination) };
+  return {
+    id: `trip-${createdAt.getTime().toString(36)}`,
+    createdAt: createdAt.toISOString(),
+    ...trip,
+    passengerType,
+    route: {
+      distance: route.distance,
+      duration: route.duration,
+      profile: route.profile || null,
+      offline: Boolean(route.offline),
+      coordinates: thinCoordinates(route.coordinates),
+    },
+    fare: quoteTrip({ ...trip, route, passengerType, fareOptions }),
+  };
+};
+
+// Put a trip at the top of the history, replacing the earlier entry for the same trip, and
+// return the updated list
+export const recordTrip = (trip) =>
+  saveList(TRIPS_STORAGE_KEY, [
+    trip,
+    ...getRecentTrips().filter((existing) => tripKey(existing) !== tripKey(trip)),
+  ].slice(0, MAX_RECENT_TRIPS));
+
+// Drop a trip from the history and return the updated list
+export const removeRecentTrip = (id) =>
+  saveList(TRIPS_STORAGE_KEY, getRecentTrips().filter((trip) => trip.id !== id));
+
+// Forget every recent trip
+export const clearRecentTrips = () => saveList(TRIPS_STORAGE_KEY, []);
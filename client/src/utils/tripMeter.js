@@ -0,0 +1,92 @@
+// Live trip meter built from a GPS track recorded during the ride
+import { haversineKm } from './geometry';
+import { determineLocationType, getFareBreakdown, hasTariff } from './fareCalculator';
+
+// Fixes less precise than this (in meters) are dropped
+const MAX_ACCURACY_METERS = 50;
+// Jumps implying a faster speed than a tricycle can travel are treated as GPS glitches
+const MAX_SPEED_KMH = 90;
+
+// Fix in the same shape as the `location` state: { latitude, longitude, accuracy, timestamp }
+export const toTrackFix = (position) => ({
+  latitude: position.coords.latitude,
+  longitude: position.coords.longitude,
+  accuracy: position.coords.accuracy,
+  timestamp: position.timestamp || Date.now(),
+});
+
+// Start an empty track
+export const createMeterTrack = (startedAt = Date.now()) => ({
+  startedAt,
+  points: [],
+  distanceKm: 0,
+  rejectedCount: 0,
+  lastFix: null,
+});
+
+// Add a GPS fix to the track, filtering out imprecise fixes, jitter and impossible jumps.
+// Returns the same track when the fix doesn't move the meter.
+export const addTrackPoint = (track, fix) => {
+  if (!Number.isFinite(fix.accuracy) || fix.accuracy > MAX_ACCURACY_METERS) {
+    return { ...track, rejectedCount: track.rejectedCount + 1, lastFix: fix };
+  }
+
+  const last = track.points[track.points.length - 1];
+  if (!last) {
+    return { ...track, points: [fix], lastFix: fix };
+  }
+
+  const stepKm = haversineKm([last.longitude, last.latitude], [fix.longitude, fix.latitude]);
+
+  // Movement within the uncertainty of either fix is jitter, not travel
+  if (stepKm * 1000 < Math.max(last.accuracy, fix.accuracy)) {
+    return track.lastFix === last ? track : { ...track, lastFix: last };
+  }
+
+  const elapsedHours = (fix.timestamp - last.timestamp) / 3600000;
+  if (elapsedHours <= 0 || stepKm / elapsedHours > MAX_SPEED_KMH) {
+    return { ...track, rejectedCount: track.rejectedCount + 1, lastFix: fix };
+  }
+
+  return {
+    ...track,
+    points: [...track.points, fix],
+    distanceKm: track.distanceKm + stepKm,
+    lastFix: fix,
+  };
+};
+
+// Track as a GeoJSON-ordered line ([lng, lat] positions)
+export const trackCoordinates = (track) =>
+  track.points.map((point) => [point.longitude, point.latitude]);
+
+// Legal fare breakdown for the distance travelled so far, or null while the track is empty or
+// the ride started outside the tariff jurisdictions.
+// options: the trip context accepted by getFareBreakdown (date defaults to the trip start)
+export const getMeterFare = (track, passengerType, options = {}) => {
+  const first = track.points[0];
+  const last = track.points[track.points.length - 1];
+  if (!first) return null;
+
+  const { locationType } = determineLocationType(first.latitude, first.longitude);
+  if (!hasTariff(locationType)) return null;
+
+  return getFareBreakdown(track.distanceKm, passengerType, locationType, {
+    ...options,
+    date: options.date || new Date(track.startedAt),
+    destinationType: determineLocationType(last.latitude, last.longitude).locationType,
+    routeCoordinates: track.points.length > 1 ? trackCoordinates(track) : undefined,
+  });
+};
+
+// Summarize a finished ride for comparison with the fare the driver asked for
+export const summarizeMeterTrip = (track, passengerType, options = {}, endedAt = Date.now()) => ({
+  startedAt: track.startedAt,
+  endedAt,
+  durationMinutes: (endedAt - track.startedAt) / 60000,
+  distanceKm: track.distanceKm,
+  pointCount: track.points.length,
+  rejectedCount: track.rejectedCount,
+  coordinates: trackCoordinates(track),
+  fare: getMeterFare(track, passengerType, options),
+});
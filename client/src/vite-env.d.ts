@@ -3,6 +3,19 @@
 interface ImportMetaEnv {
   readonly VITE_API_BASE_URL: string;
   readonly VITE_ACCESS_CODE: string;
+  readonly VITE_COMPLAINT_ENDPOINT?: string;
+  // Map providers: 'nominatim' | 'photon' | 'offline', 'osrm' | 'offline', 'osm'
+  readonly VITE_GEOCODING_PROVIDER?: string;
+  readonly VITE_ROUTING_PROVIDER?: string;
+  readonly VITE_TILE_PROVIDER?: string;
+  // Self-hosted provider base URLs (default to the public servers)
+  readonly VITE_NOMINATIM_URL?: string;
+  readonly VITE_PHOTON_URL?: string;
+  readonly VITE_OSRM_URL?: string;
+  // JSON map of routing profile → { profile, exclude, baseUrl } OSRM overrides
+  readonly VITE_OSRM_PROFILES?: string;
+  readonly VITE_TILE_URL?: string;
+  readonly VITE_TILE_ATTRIBUTION?: string;
   // more env variables...
 }
 